@@ -0,0 +1,97 @@
+// app.js - Express application for the Product Management API. Doesn't listen or connect to
+// MongoDB itself; server.js does that.
+
+// Import required modules
+require('dotenv').config();
+const express = require('express');
+const cors = require('cors');
+const { getProductStats } = require('./controllers/productController');
+const productRoutes = require('./routes/productRoutes');
+const categoryRoutes = require('./routes/categoryRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const authRoutes = require('./routes/authRoutes');
+const userRoutes = require('./routes/userRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const reservationRoutes = require('./routes/reservationRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const reviewRoutes = require('./routes/reviewRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const { getStorage } = require('./services/storage');
+const { rateLimit } = require('./middleware/rateLimit');
+const requestId = require('./middleware/requestId');
+const requestLogger = require('./middleware/requestLogger');
+const httpMetrics = require('./middleware/metrics');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+
+// Initialize Express app
+const app = express();
+
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1 hop) so req.ip, which rate
+// limits are keyed on, is the client's address rather than the proxy's
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Middleware
+app.use(requestId);
+// One JSON log line per request, tagged with its request ID
+app.use(requestLogger);
+// Request counts and latencies for /metrics
+app.use(httpMetrics);
+app.use(cors({
+  exposedHeaders: [
+    'ETag', 'Link', 'Retry-After', 'X-Request-Id', 'Idempotent-Replayed',
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy'
+  ]
+}));
+app.use(express.json());
+
+// Liveness, readiness and Prometheus metrics, outside /api so they aren't rate limited
+app.use(healthRoutes);
+
+// Per-client request budgets for the whole API
+app.use('/api', rateLimit);
+
+// Routes
+app.get('/', (req, res) => {
+  res.send('Welcome to the Product API! Go to /api/products to see all products.');
+});
+
+// Get product statistics (alias of /api/products/stats)
+app.get('/api/products/statistics', getProductStats);
+
+// Product CRUD, search, import/export and stats routes
+app.use('/api/products', productRoutes);
+
+// Uploaded product images, when the storage backend relies on the API to serve them
+const storage = getStorage();
+if (storage.handler) app.use(storage.mountPath, storage.handler());
+
+// Category hierarchy
+app.use('/api/categories', categoryRoutes);
+
+// Conversion rates for showing prices in other currencies
+app.use('/api/exchange-rates', exchangeRateRoutes);
+
+// Review moderation and authors' own reviews (created under /api/products/:id/reviews)
+app.use('/api/reviews', reviewRoutes);
+
+// Authentication, user administration and service-account keys
+app.use('/api/auth', authRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+
+// Stock reservations (created under /api/products/:id/reservations)
+app.use('/api/reservations', reservationRoutes);
+
+// Outgoing webhook subscriptions and delivery log
+app.use('/api/webhooks', webhookRoutes);
+
+// 404 handler
+app.use(notFound);
+
+// Every error becomes an application/problem+json response
+app.use(errorHandler);
+
+module.exports = app;
@@ -1,13 +1,70 @@
 const mongoose = require('mongoose');
+const { setTimeout: sleep } = require('timers/promises');
+const logger = require('../utils/logger');
 
-const connectDB = async () => {
-  try {
-    const conn = await mongoose.connect(process.env.MONGO_URI);
-    console.log(`MongoDB Connected: ${conn.connection.host}`);
-  } catch (error) {
-    console.error(`Error: ${error.message}`);
-    process.exit(1);
+const MONGO_URI = process.env.MONGO_URI || 'mongodb://localhost:27017/productsDB';
+
+// Attempts before giving up on the initial connection (0 means retry forever), and the bounds
+// of the exponential backoff between them
+const MAX_ATTEMPTS = Number(process.env.DB_CONNECT_ATTEMPTS || 10);
+const RETRY_BASE_MS = Number(process.env.DB_CONNECT_RETRY_MS || 1000);
+const RETRY_MAX_MS = 30 * 1000;
+
+let connected = false;
+let closing = false;
+
+// Once connected, the driver reconnects by itself; these only report it. A failed connection
+// attempt also emits 'disconnected', which connectDB already reports.
+mongoose.connection.on('connected', () => {
+  connected = true;
+});
+mongoose.connection.on('disconnected', () => {
+  if (connected && !closing) logger.warn('MongoDB disconnected');
+  connected = false;
+});
+mongoose.connection.on('reconnected', () => logger.info('MongoDB reconnected'));
+
+// Delay before the next attempt: doubles each time up to RETRY_MAX_MS, with up to 20% jitter
+// so a fleet of restarting instances doesn't retry in lockstep
+const backoff = (attempt) => {
+  const delay = Math.min(RETRY_BASE_MS * 2 ** (attempt - 1), RETRY_MAX_MS);
+  return Math.round(delay * (1 + Math.random() * 0.2));
+};
+
+// Connect to MongoDB, retrying with exponential backoff. Rejects once the attempts run out or
+// `signal` is aborted (e.g. the process is asked to stop while still connecting). Command
+// monitoring is on so /metrics can time database operations.
+const connectDB = async ({ signal } = {}) => {
+  closing = false;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const conn = await mongoose.connect(MONGO_URI, { monitorCommands: true });
+      logger.info('MongoDB connected', { host: conn.connection.host, attempt });
+      return conn.connection;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      if (MAX_ATTEMPTS && attempt >= MAX_ATTEMPTS) throw error;
+      
+      const retryInMs = backoff(attempt);
+      logger.warn('MongoDB connection failed; retrying', { attempt, retryInMs, err: error });
+      await sleep(retryInMs, undefined, { signal });
+    }
+  }
+};
+
+// Close the connection once in-flight operations finish, or abort a connection attempt
+const disconnectDB = async () => {
+  const { readyState } = mongoose.connection;
+  if (readyState === 0) return;
+  closing = true;
+  
+  if (readyState === 2) {
+    // close() would wait for the pending attempt to time out; closing the client aborts it
+    await mongoose.connection.getClient().close(true);
+    return;
   }
+  await mongoose.connection.close();
+  logger.info('MongoDB connection closed');
 };
 
-module.exports = connectDB;
\ No newline at end of file
+module.exports = { connectDB, disconnectDB };
@@ -0,0 +1,31 @@
+// Rate limits, overridable through the environment. A limit of 0 switches that budget off.
+const setting = (name, fallback) => {
+  const value = process.env[name];
+  return value === undefined || value === '' ? fallback : Number(value);
+};
+
+module.exports = {
+  // Where counters are kept: memory (one process) or mongo (shared by every instance)
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  windowMs: setting('RATE_LIMIT_WINDOW_SECONDS', 60) * 1000,
+  // Requests per window for each kind of client. Reads are GET, HEAD and OPTIONS; anything else is a write.
+  limits: {
+    ip: {
+      read: setting('RATE_LIMIT_IP_READS', 120),
+      write: setting('RATE_LIMIT_IP_WRITES', 30)
+    },
+    user: {
+      read: setting('RATE_LIMIT_USER_READS', 600),
+      write: setting('RATE_LIMIT_USER_WRITES', 120)
+    },
+    apiKey: {
+      read: setting('RATE_LIMIT_API_KEY_READS', 1200),
+      write: setting('RATE_LIMIT_API_KEY_WRITES', 300)
+    }
+  },
+  // Failed logins and rejected tokens or API keys per IP before authentication is refused outright
+  authFailures: {
+    max: setting('RATE_LIMIT_AUTH_FAILURES', 10),
+    windowMs: setting('RATE_LIMIT_AUTH_WINDOW_SECONDS', 15 * 60) * 1000
+  }
+};
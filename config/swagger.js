@@ -14,6 +14,61 @@ const options = {
         url: 'http://localhost:5000',
       },
     ],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'x-api-key',
+        },
+      },
+      parameters: {
+        // Accepted by every endpoint that changes products
+        IdempotencyKey: {
+          in: 'header',
+          name: 'Idempotency-Key',
+          required: false,
+          schema: { type: 'string', maxLength: 255 },
+          description: 'Unique key (e.g. a UUID) that makes the request safe to retry: a retry with the same key and body gets the original response again, with Idempotent-Replayed: true. Reusing a key for a different request, or while the first is still running, is a 409. Keys are remembered for IDEMPOTENCY_TTL_HOURS.',
+        },
+      },
+      schemas: {
+        // Body of every error response (Content-Type: application/problem+json, RFC 7807)
+        Problem: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', example: 'about:blank' },
+            title: { type: 'string', description: 'HTTP reason phrase', example: 'Bad Request' },
+            status: { type: 'integer', example: 400 },
+            detail: { type: 'string', example: 'Validation failed' },
+            instance: { type: 'string', description: 'Request path', example: '/api/products' },
+            code: {
+              type: 'string',
+              description: 'Stable machine-readable error code, e.g. VALIDATION_FAILED, INVALID_QUERY, INVALID_ID, NOT_FOUND, DUPLICATE_RESOURCE, PRECONDITION_FAILED, CONCURRENT_MODIFICATION, IDEMPOTENCY_KEY_REUSED, IDEMPOTENCY_KEY_IN_USE, TOO_MANY_REQUESTS',
+              example: 'VALIDATION_FAILED',
+            },
+            requestId: { type: 'string', description: 'Same as the X-Request-Id response header' },
+            errors: {
+              type: 'array',
+              description: 'Per-field problems, for validation errors',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'price.amount' },
+                  location: { type: 'string', enum: ['body', 'query', 'params', 'headers'] },
+                  message: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
   },
   apis: ['./routes/*.js'],
 };
@@ -0,0 +1,254 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const Category = require('../models/Category');
+const StockSnapshot = require('../models/StockSnapshot');
+const ExchangeRate = require('../models/ExchangeRate');
+const { StatusCodes } = require('http-status-codes');
+const { toCsvRow } = require('../utils/csv');
+const { computeETag, matchesIfNoneMatch } = require('../utils/etag');
+const { BASE_CURRENCY } = require('../utils/money');
+const { buildProductQuery, invalidQuery } = require('../utils/productQuery');
+const { baseAmountExpression } = require('../services/pricingService');
+const {
+  ANALYTICS_PARAMS,
+  parseLevel,
+  categoryRollUp,
+  periodExpression,
+  parseTimeRange,
+  parseDistributionParams,
+  histogramBins,
+  describeAmounts
+} = require('../services/analyticsService');
+
+// Results are kept this long, in this process and in clients' caches (0 turns caching off)
+const CACHE_SECONDS = Number(process.env.ANALYTICS_CACHE_SECONDS || 300);
+const MAX_CACHED_RESULTS = 100;
+
+// Recent results by endpoint and query, oldest first
+const resultCache = new Map();
+
+const cacheKey = (req) => {
+  const { format, ...params } = req.query;
+  return `${req.baseUrl}${req.path}?${JSON.stringify(Object.entries(params).sort())}`;
+};
+
+// Reuse a result computed less than CACHE_SECONDS ago for the same request, or compute it
+const cached = async (req, compute) => {
+  const key = cacheKey(req);
+  const hit = resultCache.get(key);
+  if (hit && hit.expiresAt > Date.now()) return hit.data;
+  
+  const data = await compute();
+  resultCache.delete(key);
+  resultCache.set(key, { data, expiresAt: Date.now() + CACHE_SECONDS * 1000 });
+  if (resultCache.size > MAX_CACHED_RESULTS) resultCache.delete(resultCache.keys().next().value);
+  return data;
+};
+
+// Send analytics as JSON, or with ?format=csv as a CSV download of `toRows(data)` (header
+// first). Responses carry an ETag and may be cached for CACHE_SECONDS.
+const sendAnalytics = (req, res, name, data, toRows) => {
+  const { format = 'json' } = req.query;
+  if (format !== 'json' && format !== 'csv') {
+    throw invalidQuery([{ parameter: 'format', message: 'format must be json or csv' }]);
+  }
+  
+  const etag = computeETag({ format, data });
+  res.set('ETag', etag);
+  res.set('Cache-Control', `private, max-age=${CACHE_SECONDS}`);
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && matchesIfNoneMatch(ifNoneMatch, etag)) {
+    return res.status(StatusCodes.NOT_MODIFIED).end();
+  }
+  
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`${name}.csv`);
+    return res.status(StatusCodes.OK).send(toRows(data).map(toCsvRow).join(''));
+  }
+  res.status(StatusCodes.OK).json({
+    success: true,
+    data
+  });
+};
+
+// The getProducts filters in the query, and whether there are any
+const productFilter = async (params) => {
+  const query = await buildProductQuery(params, { ignore: ANALYTICS_PARAMS });
+  return { query, filtered: Object.keys(query).length > 0 };
+};
+
+// @desc    Price distribution per category: range, mean, percentiles and a histogram
+// @route   GET /api/products/analytics/prices
+// @access  Private
+exports.getPriceAnalytics = async (req, res, next) => {
+  try {
+    const depth = parseLevel(req.query.level);
+    const options = parseDistributionParams(req.query);
+    const { query } = await productFilter(req.query);
+    
+    const data = await cached(req, async () => {
+      // Amounts in minor units of BASE_CURRENCY; products priced in a currency without an
+      // exchange rate are left out
+      const rates = await ExchangeRate.getRates();
+      const groups = await Product.aggregate([
+        { $match: query },
+        ...categoryRollUp(depth),
+        { $addFields: { baseAmount: baseAmountExpression(rates) } },
+        { $match: { baseAmount: { $ne: null } } },
+        { $group: { _id: '$category', amounts: { $push: '$baseAmount' } } },
+        {
+          $lookup: {
+            from: Category.collection.name,
+            localField: '_id',
+            foreignField: '_id',
+            as: 'category'
+          }
+        },
+        { $addFields: { name: { $first: '$category.name' }, slug: { $first: '$category.slug' } } },
+        { $project: { category: 0 } },
+        { $sort: { slug: 1 } }
+      ]);
+      
+      // All categories share the bins, so their histograms can be compared
+      const amounts = groups.flatMap(group => group.amounts);
+      const bins = amounts.length
+        ? histogramBins(
+          amounts.reduce((min, amount) => Math.min(min, amount)),
+          amounts.reduce((max, amount) => Math.max(max, amount)),
+          options.bins
+        )
+        : [];
+      const describe = values => describeAmounts(values, { percentiles: options.percentiles, bins });
+      
+      return {
+        currency: BASE_CURRENCY,
+        generatedAt: new Date(),
+        overall: describe(amounts),
+        byCategory: groups.map(({ _id, name, slug, amounts: values }) => ({ _id, name, slug, ...describe(values) }))
+      };
+    });
+    
+    sendAnalytics(req, res, 'price-analytics', data, ({ overall, byCategory }) => [
+      [
+        'category', 'count', 'min', 'max', 'mean',
+        ...Object.keys(overall.percentiles),
+        ...overall.histogram.map(({ from, to }) => `${from}-${to}`)
+      ],
+      ...[{ slug: 'all', ...overall }, ...byCategory].map(row => [
+        row.slug, row.count, row.min, row.max, row.mean,
+        ...Object.values(row.percentiles),
+        ...row.histogram.map(({ count }) => count)
+      ])
+    ]);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Products created, updated and deleted per day, week or month
+// @route   GET /api/products/analytics/activity
+// @access  Private
+exports.getActivityAnalytics = async (req, res, next) => {
+  try {
+    const { interval, start, end, periods } = parseTimeRange(req.query);
+    const { query, filtered } = await productFilter(req.query);
+    
+    const data = await cached(req, async () => {
+      // Counted from the product history; filters select products by their current state
+      const match = { createdAt: { $gte: start, $lt: end }, action: { $in: ['create', 'update', 'delete'] } };
+      if (filtered) match.product = { $in: await Product.distinct('_id', query) };
+      
+      const counts = await ProductHistory.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: { period: periodExpression('$createdAt', interval), action: '$action' },
+            products: { $addToSet: '$product' }
+          }
+        },
+        { $project: { count: { $size: '$products' } } }
+      ]);
+      
+      const byPeriod = new Map(periods.map(period => [
+        period.getTime(),
+        { period, created: 0, updated: 0, deleted: 0 }
+      ]));
+      const columns = { create: 'created', update: 'updated', delete: 'deleted' };
+      counts.forEach(({ _id, count }) => {
+        const row = byPeriod.get(new Date(_id.period).getTime());
+        if (row) row[columns[_id.action]] = count;
+      });
+      
+      return { interval, from: start, to: end, generatedAt: new Date(), periods: [...byPeriod.values()] };
+    });
+    
+    sendAnalytics(req, res, 'activity', data, ({ periods: rows }) => [
+      ['period', 'created', 'updated', 'deleted'],
+      ...rows.map(({ period, created, updated, deleted }) => [period, created, updated, deleted])
+    ]);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Share of products out of stock per day, week or month
+// @route   GET /api/products/analytics/stock
+// @access  Private
+exports.getStockAnalytics = async (req, res, next) => {
+  try {
+    const { interval, start, end, periods } = parseTimeRange(req.query);
+    const { query } = await productFilter(req.query);
+    
+    // The daily snapshots are per category, so that is the only filter they support
+    const unsupported = Object.keys(query).filter(field => field !== 'category');
+    if (unsupported.length) {
+      throw invalidQuery(unsupported.map(field => ({
+        parameter: field,
+        message: 'Stock history can only be filtered by category'
+      })));
+    }
+    
+    const data = await cached(req, async () => {
+      const totals = await StockSnapshot.aggregate([
+        { $match: { day: { $gte: start, $lt: end }, ...query } },
+        {
+          $group: {
+            _id: periodExpression('$day', interval),
+            productDays: { $sum: '$products' },
+            outOfStockDays: { $sum: '$outOfStock' },
+            days: { $addToSet: '$day' }
+          }
+        }
+      ]);
+      const byPeriod = new Map(totals.map(total => [new Date(total._id).getTime(), total]));
+      
+      // Averages over the days sampled in each period; periods without samples are null
+      const round = (value, digits) => Number(value.toFixed(digits));
+      return {
+        interval,
+        from: start,
+        to: end,
+        generatedAt: new Date(),
+        periods: periods.map(period => {
+          const total = byPeriod.get(period.getTime());
+          if (!total) return { period, products: null, outOfStock: null, stockOutRatio: null };
+          
+          return {
+            period,
+            products: round(total.productDays / total.days.length, 2),
+            outOfStock: round(total.outOfStockDays / total.days.length, 2),
+            stockOutRatio: total.productDays ? round(total.outOfStockDays / total.productDays, 4) : null
+          };
+        })
+      };
+    });
+    
+    sendAnalytics(req, res, 'stock', data, ({ periods: rows }) => [
+      ['period', 'products', 'outOfStock', 'stockOutRatio'],
+      ...rows.map(({ period, products, outOfStock, stockOutRatio }) => [period, products, outOfStock, stockOutRatio])
+    ]);
+  } catch (error) {
+    next(error);
+  }
+};
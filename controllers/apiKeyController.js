@@ -0,0 +1,74 @@
+const ApiKey = require('../models/ApiKey');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+
+// @desc    List API keys (hashes are never returned)
+// @route   GET /api/api-keys
+// @access  Private/Admin
+exports.getApiKeys = async (req, res, next) => {
+  try {
+    const keys = await ApiKey.find().sort('-createdAt');
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: keys.length,
+      data: keys
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a named API key for a service account
+// @route   POST /api/api-keys
+// @access  Private/Admin
+exports.createApiKey = async (req, res, next) => {
+  try {
+    const { name, role } = req.body;
+    const { key, keyHash, prefix } = ApiKey.generateKey();
+    
+    const apiKey = await ApiKey.create({
+      name,
+      role,
+      keyHash,
+      prefix,
+      createdBy: req.user.type === 'user' ? req.user.id : undefined
+    });
+    
+    // The plaintext key is only ever returned here
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        ...apiKey.toJSON(),
+        key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke an API key
+// @route   DELETE /api/api-keys/:id
+// @access  Private/Admin
+exports.revokeApiKey = async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findById(req.params.id);
+    
+    if (!apiKey) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `API key not found with id of ${req.params.id}`);
+    }
+    
+    if (!apiKey.revokedAt) {
+      apiKey.revokedAt = new Date();
+      await apiKey.save();
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: apiKey
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,128 @@
+const User = require('../models/User');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { issueTokens, verifyRefreshToken } = require('../utils/tokens');
+const { checkAuthFailures, recordAuthFailure } = require('../middleware/rateLimit');
+
+const isBootstrapAdmin = (email) => Boolean(process.env.ADMIN_EMAIL)
+  && process.env.ADMIN_EMAIL.trim().toLowerCase() === email.trim().toLowerCase();
+
+// @desc    Register a new user
+// @route   POST /api/auth/register
+// @access  Public
+exports.register = async (req, res, next) => {
+  try {
+    const { name, email, password } = req.body;
+    
+    if (await User.exists({ email: email.toLowerCase() })) {
+      throw new ApiError(StatusCodes.CONFLICT, 'A user with that email already exists');
+    }
+    
+    // ADMIN_EMAIL bootstraps the system: registering with it makes an admin, and the unique
+    // email index ensures only one account can. Everyone else starts as a viewer.
+    const role = isBootstrapAdmin(email) ? 'admin' : 'viewer';
+    const user = await User.create({ name, email, password, role });
+    
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        user,
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Log in with email and password
+// @route   POST /api/auth/login
+// @access  Public
+exports.login = async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    
+    await checkAuthFailures(req, res);
+    const user = await User.findOne({ email: email.toLowerCase() }).select('+password +tokenVersion');
+    
+    if (!user || !(await user.matchPassword(password))) {
+      await recordAuthFailure(req);
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'Invalid email or password');
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        user,
+        ...issueTokens(user)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    let payload;
+    try {
+      payload = verifyRefreshToken(refreshToken || '');
+    } catch (error) {
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'Invalid or expired refresh token');
+    }
+    
+    const user = await User.findById(payload.sub).select('+tokenVersion');
+    
+    if (!user || user.tokenVersion !== payload.ver) {
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'Refresh token has been revoked');
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: issueTokens(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke all refresh tokens for the current user
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = async (req, res, next) => {
+  try {
+    if (req.user.type !== 'user') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'API keys cannot log out; revoke the key instead');
+    }
+    
+    await User.findByIdAndUpdate(req.user.id, { $inc: { tokenVersion: 1 } });
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the authenticated caller
+// @route   GET /api/auth/me
+// @access  Private
+exports.getMe = async (req, res, next) => {
+  try {
+    const data = req.user.type === 'user' ? await User.findById(req.user.id) : req.user;
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
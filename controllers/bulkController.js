@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const Category = require('../models/Category');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const toActor = require('../utils/actor');
+const { BASE_CURRENCY } = require('../utils/money');
+const { CONTROL_PARAMS, LEGACY_PARAMS, buildProductQuery } = require('../utils/productQuery');
+const { publishProductEvent, publishProductUpdate } = require('../services/productEvents');
+const { toApiError } = require('../middleware/errorHandler');
+
+// Most products a single bulk request may touch
+const MAX_BULK_ITEMS = Number(process.env.BULK_MAX_ITEMS || 1000);
+
+// Thrown inside a transaction to roll it back once an item has failed
+class Rollback extends Error {}
+
+// Turn the request's `ids` or `filter` into a Mongo filter. The filter uses the query syntax of
+// GET /api/products, e.g. { "category": "laptops", "price": { "gte": "100000" } }. Parameters
+// the listing ignores or treats leniently are refused here, and so is a filter that ends up
+// matching everything: a bulk change must never widen to the whole catalog.
+const selectionQuery = async ({ ids, filter }) => {
+  if (ids) return { _id: { $in: ids } };
+  
+  const invalidFilter = (errors) => new ApiError(StatusCodes.BAD_REQUEST, 'Invalid filter', {
+    code: 'VALIDATION_FAILED',
+    errors: errors.map(({ field, message }) => ({ field: field ? `filter.${field}` : 'filter', location: 'body', message }))
+  });
+  
+  const errors = Object.keys(filter)
+    .filter(param => CONTROL_PARAMS.includes(param) || LEGACY_PARAMS.includes(param))
+    .map(param => ({ field: param, message: `'${param}' is not a filter field` }));
+  if (typeof filter.inStock === 'string' && filter.inStock !== 'true' && filter.inStock !== 'false') {
+    errors.push({ field: 'inStock', message: "'inStock' must be true or false" });
+  }
+  if (errors.length) throw invalidFilter(errors);
+  
+  let query;
+  try {
+    query = await buildProductQuery(filter);
+  } catch (error) {
+    if (error.code !== 'INVALID_QUERY') throw error;
+    throw invalidFilter(error.errors);
+  }
+  
+  if (!Object.keys(query).length) {
+    throw invalidFilter([{ field: '', message: 'filter must contain at least one condition' }]);
+  }
+  return query;
+};
+
+// Refuse selections larger than MAX_BULK_ITEMS before loading anything
+const checkSelectionSize = async (query) => {
+  const matched = await Product.countDocuments(query);
+  if (matched > MAX_BULK_ITEMS) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `The selection matches ${matched} products; a bulk request can change at most ${MAX_BULK_ITEMS}`,
+      { code: 'BULK_LIMIT_EXCEEDED' }
+    );
+  }
+};
+
+// The error reported for one item, in the shape of a problem document's fields
+const itemError = (error) => {
+  const apiError = toApiError(error);
+  return {
+    status: apiError.statusCode,
+    code: apiError.code,
+    detail: apiError.isOperational ? apiError.message : 'An unexpected error occurred',
+    ...(apiError.errors && { errors: apiError.errors })
+  };
+};
+
+// New amount after a relative change: { percent: -15 } or { amount: -500 } (minor units)
+const adjustAmount = (money, change) => (change.percent !== undefined
+  ? Math.round(money.amount * (100 + change.percent) / 100)
+  : money.amount + change.amount);
+
+// Reprice a product: its regular price (a running sale keeps its price), variants with their
+// own price and, for percentage changes, the fixed prices in other currencies
+const adjustPrices = (product, change) => {
+  const regular = product.regularPrice || product.price;
+  const currency = change.currency || BASE_CURRENCY;
+  if (change.amount !== undefined && regular.currency !== currency) {
+    throw new ApiError(StatusCodes.CONFLICT, `The product is priced in ${regular.currency}, not ${currency}`, {
+      code: 'CURRENCY_MISMATCH'
+    });
+  }
+  
+  product.setRegularPrice({ amount: adjustAmount(regular, change), currency: regular.currency });
+  product.variants
+    .filter(variant => variant.price && variant.price.amount !== undefined)
+    .forEach(variant => {
+      variant.price = { amount: adjustAmount(variant.price, change), currency: variant.price.currency };
+    });
+  if (change.percent !== undefined) {
+    product.priceList.forEach(entry => {
+      entry.amount = adjustAmount(entry, change);
+    });
+  }
+};
+
+// Apply a bulk update's patch to one product in memory
+const applyPatch = (product, patch, categoryId) => {
+  if (patch.price) adjustPrices(product, patch.price);
+  if (patch.inStock !== undefined) {
+    if (product.trackInventory || product.variants.length) {
+      throw new ApiError(StatusCodes.CONFLICT, 'inStock is derived from stock levels for this product', {
+        code: 'DERIVED_FIELD'
+      });
+    }
+    product.inStock = patch.inStock;
+  }
+  if (patch.lowStockThreshold !== undefined) product.lowStockThreshold = patch.lowStockThreshold;
+  if (categoryId) product.category = categoryId;
+};
+
+// Load the selected products and run `processItem(product, session)` on each, collecting one
+// result per product (plus `not_found` for unknown ids). `processItem` resolves to the item's
+// result and may return a `publish` callback, which runs only once the changes are committed.
+//
+// Without `atomic`, each product is saved on its own and failures don't stop the others. With
+// `atomic`, everything runs in one transaction (MongoDB must be a replica set) that is rolled
+// back if any product fails, in which case nothing is changed.
+const runBulk = async ({ ids, atomic, dryRun }, query, processItem) => {
+  let results = [];
+  let publishers = [];
+  
+  const processAll = async (session) => {
+    results = [];
+    publishers = [];
+    const products = await Product.find(query).sort('_id').session(session || null);
+    
+    if (ids) {
+      const found = new Set(products.map(product => product.id));
+      [...new Set(ids)]
+        .filter(id => !found.has(id))
+        .forEach(id => results.push({ id, status: 'not_found' }));
+    }
+    
+    for (const product of products) {
+      try {
+        const { publish, ...result } = await processItem(product, session);
+        results.push({ id: product.id, ...result });
+        if (publish) publishers.push(publish);
+      } catch (error) {
+        results.push({ id: product.id, status: 'failed', error: itemError(error) });
+      }
+    }
+    
+    if (session && results.some(({ status }) => status === 'failed' || status === 'not_found')) {
+      throw new Rollback();
+    }
+  };
+  
+  let committed = !dryRun;
+  if (atomic && !dryRun) {
+    try {
+      await mongoose.connection.transaction(processAll);
+    } catch (error) {
+      if (error instanceof Rollback) {
+        committed = false;
+      } else if (error.code === 20 || /Transaction numbers are only allowed/.test(error.message)) {
+        throw new ApiError(StatusCodes.NOT_IMPLEMENTED, 'Atomic bulk requests need MongoDB to run as a replica set', {
+          code: 'TRANSACTIONS_UNSUPPORTED'
+        });
+      } else {
+        throw error;
+      }
+    }
+  } else {
+    await processAll(null);
+  }
+  
+  if (committed) {
+    publishers.forEach(publish => publish());
+  } else if (!dryRun) {
+    // Rolled back: report the items that would have gone through as such
+    results = results.map(result => (['failed', 'not_found', 'unchanged'].includes(result.status)
+      ? result
+      : { ...result, status: 'rolled_back' }));
+  }
+  
+  return { results, committed };
+};
+
+const sendBulkReport = (res, { dryRun, atomic }, { results, committed }) => {
+  const counts = results.reduce((tally, { status }) => ({ ...tally, [status]: (tally[status] || 0) + 1 }), {});
+  
+  res.status(StatusCodes.OK).json({
+    success: !counts.failed && !counts.not_found && (dryRun || committed),
+    dryRun,
+    atomic,
+    committed,
+    matched: results.filter(({ status }) => status !== 'not_found').length,
+    counts,
+    results
+  });
+};
+
+// @desc    Apply a patch (relative price change, inStock, lowStockThreshold, category) to many products
+// @route   POST /api/products/bulk/update
+// @access  Private/Editor
+exports.bulkUpdateProducts = async (req, res, next) => {
+  try {
+    const { patch, dryRun = false, atomic = false } = req.body;
+    
+    let categoryId;
+    if (patch.category !== undefined) {
+      const category = await Category.findByRef(patch.category);
+      if (!category) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, `Unknown category '${patch.category}'`);
+      }
+      categoryId = category._id;
+    }
+    
+    const query = await selectionQuery(req.body);
+    await checkSelectionSize(query);
+    
+    const report = await runBulk(req.body, query, async (product, session) => {
+      const before = ProductHistory.toSnapshot(product);
+      applyPatch(product, patch, categoryId);
+      
+      if (dryRun) {
+        await product.validate();
+        const changes = ProductHistory.diffSnapshots(before, ProductHistory.toSnapshot(product));
+        return { status: changes.length ? 'updated' : 'unchanged', changes };
+      }
+      
+      await product.save({ session });
+      const entry = await ProductHistory.record({ product, action: 'update', user: req.user, before, session });
+      if (!entry) return { status: 'unchanged', changes: [] };
+      
+      return {
+        status: 'updated',
+        changes: entry.changes,
+        publish: () => publishProductUpdate(product, before, entry)
+      };
+    });
+    
+    sendBulkReport(res, { dryRun, atomic }, report);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Move many products to the trash
+// @route   POST /api/products/bulk/delete
+// @access  Private/Admin
+exports.bulkDeleteProducts = async (req, res, next) => {
+  try {
+    const { dryRun = false, atomic = false } = req.body;
+    
+    const query = await selectionQuery(req.body);
+    await checkSelectionSize(query);
+    
+    const report = await runBulk(req.body, query, async (product, session) => {
+      if (dryRun) return { status: 'deleted' };
+      
+      const before = ProductHistory.toSnapshot(product);
+      product.deletedAt = new Date();
+      product.deletedBy = toActor(req.user);
+      await product.save({ session });
+      await ProductHistory.record({ product, action: 'delete', user: req.user, before, session });
+      
+      return {
+        status: 'deleted',
+        publish: () => publishProductEvent('product.deleted', product)
+      };
+    });
+    
+    sendBulkReport(res, { dryRun, atomic }, report);
+  } catch (error) {
+    next(error);
+  }
+};
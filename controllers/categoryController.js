@@ -0,0 +1,196 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+
+const findCategory = async (ref) => {
+  const category = await Category.findByRef(ref);
+  if (!category) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Category not found with id or slug of ${ref}`);
+  }
+  return category;
+};
+
+// Resolve the parent named in a request body; null means the top level
+const findParent = async (ref) => {
+  if (ref === null || ref === '') return null;
+  
+  const parent = await Category.findByRef(ref);
+  if (!parent) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Parent category '${ref}' does not exist`);
+  }
+  return parent;
+};
+
+const checkSlugAvailable = async (slug, category) => {
+  const existing = await Category.findOne({ slug });
+  if (existing && !(category && existing._id.equals(category._id))) {
+    throw new ApiError(StatusCodes.CONFLICT, `A category with slug '${slug}' already exists`);
+  }
+};
+
+// Nest a flat list of categories under their parents
+const buildTree = (categories) => {
+  const nodes = new Map(categories.map(category => [category.id, { ...category.toJSON(), children: [] }]));
+  const roots = [];
+  
+  nodes.forEach(node => {
+    const parent = node.parent && nodes.get(node.parent.toString());
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  });
+  
+  return roots;
+};
+
+// @desc    List categories, optionally only the children of one parent
+// @route   GET /api/categories
+// @access  Public
+exports.getCategories = async (req, res, next) => {
+  try {
+    const { parent } = req.query;
+    const query = {};
+    
+    if (parent === 'root') {
+      query.parent = null;
+    } else if (parent) {
+      query.parent = (await findCategory(parent))._id;
+    }
+    
+    const categories = await Category.find(query).sort('name');
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: categories.length,
+      data: categories
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the whole category hierarchy as nested nodes
+// @route   GET /api/categories/tree
+// @access  Public
+exports.getCategoryTree = async (req, res, next) => {
+  try {
+    const categories = await Category.find().sort('name');
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: categories.length,
+      data: buildTree(categories)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a category by id or slug, with its ancestors for breadcrumbs
+// @route   GET /api/categories/:ref
+// @access  Public
+exports.getCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.ref);
+    const ancestors = await Category.find({ _id: { $in: category.ancestors } }).select('name slug');
+    const byId = new Map(ancestors.map(ancestor => [ancestor.id, ancestor]));
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        ...category.toJSON(),
+        path: category.ancestors.map(id => byId.get(id.toString())).filter(Boolean)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create a category
+// @route   POST /api/categories
+// @access  Private/Admin
+exports.createCategory = async (req, res, next) => {
+  try {
+    const { name, slug, description, parent } = req.body;
+    
+    const category = new Category({ name, slug, description });
+    category.setParent(parent === undefined ? null : await findParent(parent));
+    await category.validate();
+    await checkSlugAvailable(category.slug);
+    await category.save();
+    
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rename, re-slug or move a category
+// @route   PUT /api/categories/:ref
+// @access  Private/Admin
+exports.updateCategory = async (req, res, next) => {
+  try {
+    const { name, slug, description, parent } = req.body;
+    const category = await findCategory(req.params.ref);
+    
+    category.name = name;
+    if (slug !== undefined) category.slug = slug;
+    if (description !== undefined) category.description = description;
+    
+    if (parent !== undefined) {
+      const newParent = await findParent(parent);
+      if (newParent && category.isAncestorOf(newParent)) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          'A category cannot be moved under itself or one of its descendants'
+        );
+      }
+      category.setParent(newParent);
+    }
+    
+    await checkSlugAvailable(category.slug, category);
+    await category.save();
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: category
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a category that has no subcategories or products
+// @route   DELETE /api/categories/:ref
+// @access  Private/Admin
+exports.deleteCategory = async (req, res, next) => {
+  try {
+    const category = await findCategory(req.params.ref);
+    
+    if (await Category.exists({ parent: category._id })) {
+      throw new ApiError(StatusCodes.CONFLICT, 'Move or delete the subcategories first');
+    }
+    
+    // Trashed products count too, since they can still be restored
+    const products = await Product.countDocuments({ category: category._id }).setOptions({ withDeleted: true });
+    if (products) {
+      throw new ApiError(
+        StatusCodes.CONFLICT,
+        `Category is used by ${products} product(s); move them to another category first`
+      );
+    }
+    
+    await category.deleteOne();
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
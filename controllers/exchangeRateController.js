@@ -0,0 +1,77 @@
+const ExchangeRate = require('../models/ExchangeRate');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const toActor = require('../utils/actor');
+const { BASE_CURRENCY, isCurrency } = require('../utils/money');
+
+const parseCurrency = (value) => {
+  const currency = String(value).toUpperCase();
+  if (!isCurrency(currency) || currency === BASE_CURRENCY) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `'${value}' must be an ISO 4217 currency code other than the base currency (${BASE_CURRENCY})`
+    );
+  }
+  return currency;
+};
+
+// @desc    List exchange rates
+// @route   GET /api/exchange-rates
+// @access  Public
+exports.getExchangeRates = async (req, res, next) => {
+  try {
+    const rates = await ExchangeRate.find().sort('currency');
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      base: BASE_CURRENCY,
+      count: rates.length,
+      data: rates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set the rate for a currency, creating it if needed
+// @route   PUT /api/exchange-rates/:currency
+// @access  Private/Admin
+exports.setExchangeRate = async (req, res, next) => {
+  try {
+    const currency = parseCurrency(req.params.currency);
+    
+    const rate = await ExchangeRate.findOneAndUpdate(
+      { currency },
+      { rate: Number(req.body.rate), updatedBy: toActor(req.user) },
+      { new: true, upsert: true, runValidators: true }
+    );
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: rate
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a currency's rate
+// @route   DELETE /api/exchange-rates/:currency
+// @access  Private/Admin
+exports.deleteExchangeRate = async (req, res, next) => {
+  try {
+    const currency = parseCurrency(req.params.currency);
+    const rate = await ExchangeRate.findOneAndDelete({ currency });
+    
+    if (!rate) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `No exchange rate set for ${currency}`);
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { register } = require('../services/metrics');
+
+const CONNECTION_STATES = ['disconnected', 'connected', 'connecting', 'disconnecting'];
+
+// @desc    Liveness: the process is up and serving requests
+// @route   GET /healthz
+// @access  Public
+exports.getLiveness = (req, res) => {
+  res.status(StatusCodes.OK).json({
+    status: 'ok',
+    uptime: Math.round(process.uptime())
+  });
+};
+
+// @desc    Readiness: the API can serve traffic, i.e. MongoDB is connected and the server
+//          isn't shutting down
+// @route   GET /readyz
+// @access  Public
+exports.getReadiness = (req, res) => {
+  const { readyState } = mongoose.connection;
+  const { shuttingDown } = req.app.locals;
+  const ready = readyState === 1 && !shuttingDown;
+  
+  res.status(ready ? StatusCodes.OK : StatusCodes.SERVICE_UNAVAILABLE).json({
+    status: ready ? 'ok' : 'unavailable',
+    checks: {
+      database: CONNECTION_STATES[readyState] || 'unknown',
+      ...(shuttingDown && { server: 'shutting down' })
+    }
+  });
+};
+
+// @desc    Prometheus metrics in the text exposition format
+// @route   GET /metrics
+// @access  Public, or bearer METRICS_TOKEN when set
+exports.getMetrics = async (req, res, next) => {
+  try {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+      throw new ApiError(StatusCodes.UNAUTHORIZED, 'A valid metrics token is required');
+    }
+    
+    res.set('Content-Type', register.contentType);
+    res.status(StatusCodes.OK).send(await register.metrics());
+  } catch (error) {
+    next(error);
+  }
+};
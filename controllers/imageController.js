@@ -0,0 +1,188 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { computeETag } = require('../utils/etag');
+const { checkIfMatch, toConcurrencyError } = require('../utils/preconditions');
+const { recordProductUpdate } = require('../services/productEvents');
+const { storeImages, removeImageFiles, MAX_IMAGES_PER_PRODUCT } = require('../services/imageService');
+
+const findProduct = async (id) => {
+  const product = await Product.findById(id);
+  if (!product) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${id}`);
+  }
+  return product;
+};
+
+const findImage = (product, imageId) => {
+  const image = product.images.id(imageId);
+  if (!image) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Image not found with id of ${imageId}`);
+  }
+  return image;
+};
+
+// Save an image change as an update of the product: history, events and a fresh ETag
+const saveProduct = async (req, res, product, before) => {
+  await product.save();
+  await recordProductUpdate(product, before, req.user);
+  res.set('ETag', computeETag(product));
+};
+
+// Multipart text fields arrive as a string, or an array of strings when repeated
+const toList = (value) => (value === undefined ? [] : [].concat(value));
+
+// @desc    List a product's images in display order
+// @route   GET /api/products/:id/images
+// @access  Public
+exports.getImages = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: product.images.length,
+      data: product.images
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Upload images (multipart/form-data, files in `images`); they are added at the end
+// @route   POST /api/products/:id/images
+// @access  Private/Editor
+exports.uploadImages = async (req, res, next) => {
+  let stored = [];
+  
+  try {
+    const files = req.files || [];
+    if (!files.length) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "Attach at least one image in the 'images' field");
+    }
+    
+    const product = await findProduct(req.params.id);
+    checkIfMatch(req, product);
+    
+    if (product.images.length + files.length > MAX_IMAGES_PER_PRODUCT) {
+      throw new ApiError(
+        StatusCodes.CONFLICT,
+        `A product can have at most ${MAX_IMAGES_PER_PRODUCT} images; it has ${product.images.length}`
+      );
+    }
+    
+    const before = ProductHistory.toSnapshot(product);
+    stored = await storeImages(product, files);
+    
+    // One `alt` field per file, in the same order
+    const alts = toList(req.body.alt);
+    stored.forEach((image, index) => {
+      product.images.push({ ...image, alt: alts[index] || undefined });
+    });
+    if (req.body.primary === 'true') {
+      product.images.forEach(image => {
+        image.primary = image._id.equals(stored[0]._id);
+      });
+    }
+    
+    await saveProduct(req, res, product, before);
+    
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      count: stored.length,
+      data: stored.map(image => product.images.id(image._id))
+    });
+  } catch (error) {
+    // Don't leave files behind for images that never made it onto the product
+    if (stored.length) await removeImageFiles(stored);
+    next(toConcurrencyError(error));
+  }
+};
+
+// @desc    Change an image's alt text, or make it the primary image
+// @route   PUT /api/products/:id/images/:imageId
+// @access  Private/Editor
+exports.updateImage = async (req, res, next) => {
+  try {
+    const { alt, primary } = req.body;
+    const product = await findProduct(req.params.id);
+    const image = findImage(product, req.params.imageId);
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    if (alt !== undefined) image.alt = alt;
+    if (primary === true) {
+      product.images.forEach(other => {
+        other.primary = other === image;
+      });
+    } else if (primary === false && image.primary && product.images.length > 1) {
+      // Hand the flag to the next image in display order
+      image.primary = false;
+      product.images.find(other => other !== image).primary = true;
+    }
+    await saveProduct(req, res, product, before);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: image
+    });
+  } catch (error) {
+    next(toConcurrencyError(error));
+  }
+};
+
+// @desc    Set the display order; `order` lists every image id of the product
+// @route   PUT /api/products/:id/images/order
+// @access  Private/Editor
+exports.reorderImages = async (req, res, next) => {
+  try {
+    const { order } = req.body;
+    const product = await findProduct(req.params.id);
+    
+    const current = product.images.map(image => image.id);
+    if (order.length !== current.length || new Set(order).size !== order.length
+      || !order.every(id => current.includes(id))) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, "order must list each of the product's image ids exactly once");
+    }
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    product.images = order.map(id => product.images.id(id).toObject({ virtuals: false }));
+    await saveProduct(req, res, product, before);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: product.images.length,
+      data: product.images
+    });
+  } catch (error) {
+    next(toConcurrencyError(error));
+  }
+};
+
+// @desc    Remove an image and its files
+// @route   DELETE /api/products/:id/images/:imageId
+// @access  Private/Editor
+exports.deleteImage = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    const image = findImage(product, req.params.imageId);
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    image.deleteOne();
+    await saveProduct(req, res, product, before);
+    await removeImageFiles([image]);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(toConcurrencyError(error));
+  }
+};
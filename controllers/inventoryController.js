@@ -0,0 +1,193 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Reservation = require('../models/Reservation');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const inventory = require('../services/inventoryService');
+const { invalidQuery, parseLimit, parsePage } = require('../utils/productQuery');
+
+const DEFAULT_RESERVATION_TTL_MINUTES = 15;
+
+// @desc    Get stock levels for a product
+// @route   GET /api/products/:id/stock
+// @access  Private
+exports.getStock = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${req.params.id}`);
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        product: product.id,
+        trackInventory: product.trackInventory,
+        quantity: product.quantity,
+        reserved: product.reserved,
+        available: product.available,
+        inStock: product.inStock,
+        warehouses: product.stock
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a stock movement (receive, sell, adjust or return)
+// @route   POST /api/products/:id/stock/movements
+// @access  Private/Editor
+exports.createStockMovement = async (req, res, next) => {
+  try {
+    const { type, quantity, warehouse, reason } = req.body;
+    
+    const { product, movement } = await inventory.recordMovement({
+      productId: req.params.id,
+      type,
+      quantity: Number(quantity),
+      warehouse,
+      reason,
+      user: req.user
+    });
+    
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        movement,
+        product
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the stock movement ledger for a product
+// @route   GET /api/products/:id/stock/movements
+// @access  Private
+exports.getStockMovements = async (req, res, next) => {
+  try {
+    const { type, warehouse } = req.query;
+    const limit = parseLimit(req.query.limit === undefined ? 20 : req.query.limit);
+    const page = parsePage(req.query.page);
+    const query = { product: req.params.id };
+    const errors = [];
+    
+    if (type !== undefined) {
+      const types = typeof type === 'string' ? type.split(',') : [];
+      if (!types.length || types.some(value => !StockMovement.TYPES.includes(value))) {
+        errors.push({ parameter: 'type', message: `type must be a comma-separated list of: ${StockMovement.TYPES.join(', ')}` });
+      } else {
+        query.type = { $in: types };
+      }
+    }
+    if (warehouse !== undefined) {
+      if (typeof warehouse !== 'string') errors.push({ parameter: 'warehouse', message: 'warehouse must be given once, as a string' });
+      else query.warehouse = warehouse;
+    }
+    if (errors.length) throw invalidQuery(errors);
+    
+    const total = await StockMovement.countDocuments(query);
+    const movements = await StockMovement.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: movements.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      data: movements
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Reserve stock for a limited time
+// @route   POST /api/products/:id/reservations
+// @access  Private/Editor
+exports.createReservation = async (req, res, next) => {
+  try {
+    const { quantity, warehouse, reference, ttlMinutes } = req.body;
+    const minutes = Number(ttlMinutes || process.env.RESERVATION_TTL_MINUTES || DEFAULT_RESERVATION_TTL_MINUTES);
+    
+    const { reservation } = await inventory.reserveStock({
+      productId: req.params.id,
+      quantity: Number(quantity),
+      warehouse,
+      reference,
+      ttlSeconds: minutes * 60,
+      user: req.user
+    });
+    
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a reservation
+// @route   GET /api/reservations/:id
+// @access  Private
+exports.getReservation = async (req, res, next) => {
+  try {
+    const reservation = await Reservation.findById(req.params.id);
+    
+    if (!reservation) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Reservation not found with id of ${req.params.id}`);
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Release a reservation, returning its stock
+// @route   DELETE /api/reservations/:id
+// @access  Private/Editor
+exports.releaseReservation = async (req, res, next) => {
+  try {
+    const reservation = await inventory.releaseReservation(req.params.id);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: reservation
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Commit a reservation as a sale
+// @route   POST /api/reservations/:id/commit
+// @access  Private/Editor
+exports.commitReservation = async (req, res, next) => {
+  try {
+    const { reservation, movement } = await inventory.commitReservation(req.params.id, {
+      reason: req.body.reason,
+      user: req.user
+    });
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {
+        reservation,
+        movement
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
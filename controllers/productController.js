@@ -1,5 +1,164 @@
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
 const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const Category = require('../models/Category');
+const Review = require('../models/Review');
 const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const toActor = require('../utils/actor');
+const { parseCsv, toCsvRow } = require('../utils/csv');
+const { computeETag, matchesIfNoneMatch } = require('../utils/etag');
+const { checkIfMatch, toConcurrencyError } = require('../utils/preconditions');
+const {
+  invalidQuery,
+  buildProductQuery,
+  parseSort,
+  parseFields,
+  parseLimit,
+  parsePage
+} = require('../utils/productQuery');
+const {
+  CURSOR_SORT_FIELDS,
+  parseCursorSort,
+  encodeCursor,
+  findCursorPage,
+  pageUrl,
+  setLinkHeader
+} = require('../utils/pagination');
+const { publishProductEvent, recordProductUpdate } = require('../services/productEvents');
+const { ANALYTICS_PARAMS, parseLevel, categoryRollUp } = require('../services/analyticsService');
+const { withDisplayPrices, baseAmountExpression } = require('../services/pricingService');
+const { removeImageFiles } = require('../services/imageService');
+const ExchangeRate = require('../models/ExchangeRate');
+const { BASE_CURRENCY } = require('../utils/money');
+const { MERGE_PATCH, JSON_PATCH, applyMergePatch, applyJsonPatch } = require('../utils/patch');
+const { checkProductFields } = require('../middleware/validation');
+const { duplicateKeyErrors } = require('../middleware/errorHandler');
+
+// Orders the trash listing accepts
+const TRASH_SORTS = ['deletedAt', '-deletedAt'];
+
+// Fields accepted on import and emitted on export, in column order. Files carry the
+// price as two flat columns: amount in minor units and currency.
+const IMPORT_FIELDS = ['sku', 'name', 'slug', 'gtin', 'description', 'price', 'currency', 'category', 'inStock'];
+const EXPORT_FIELDS = ['id', ...IMPORT_FIELDS, 'createdAt', 'updatedAt'];
+
+// Products reference categories by id; clients may also give the slug
+const resolveCategory = async (ref) => {
+  const category = await Category.findByRef(ref);
+  if (!category) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `Unknown category '${ref}'`, {
+      code: 'VALIDATION_FAILED',
+      errors: [{ field: 'category', location: 'body', message: `Unknown category '${ref}'` }]
+    });
+  }
+  return category._id;
+};
+
+// Fields clients write with PUT and PATCH; the rest are read-only or have their own endpoints.
+// A full replacement resets omitted fields to these defaults (undefined clears the field, which
+// fails validation for the required ones), except that an omitted slug is kept.
+const EDITABLE_FIELDS = {
+  name: undefined,
+  sku: undefined,
+  slug: undefined,
+  gtin: undefined,
+  description: undefined,
+  price: undefined,
+  priceList: [],
+  category: undefined,
+  inStock: true,
+  lowStockThreshold: undefined,
+  options: []
+};
+
+// Write editable fields onto a product. `price` is the regular price, so during a sale the
+// new price takes effect when the sale ends.
+const setEditableFields = async (product, fields) => {
+  for (const [field, value] of Object.entries(fields)) {
+    const next = value === undefined ? EDITABLE_FIELDS[field] : value;
+    
+    if (field === 'price' && next !== undefined) product.setRegularPrice(next);
+    else if (field === 'category' && next !== undefined) product.category = await resolveCategory(next);
+    else if (field === 'slug') product.changeSlug(next);
+    else product.set(field, next);
+  }
+};
+
+// The product as a client sees it, as plain JSON: what patches are applied to
+const toPatchTarget = (product) => JSON.parse(JSON.stringify(product));
+
+const isEqualJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const TRANSFER_FORMATS = {
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson'
+};
+
+const resolveTransferFormat = (format) => {
+  if (!TRANSFER_FORMATS[format]) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `Unsupported format "${format}". Use one of: ${Object.keys(TRANSFER_FORMATS).join(', ')}`
+    );
+  }
+  return format;
+};
+
+const pickFields = (source, fields) => fields.reduce((picked, field) => {
+  if (source[field] !== undefined) picked[field] = source[field];
+  return picked;
+}, {});
+
+// Turn an uploaded body into records of the form { row, data } or { row, error },
+// where `row` is the line number in the uploaded file
+const parseImportRecords = (text, format) => {
+  if (format === 'ndjson') {
+    return text.split(/\r?\n/)
+      .map((line, index) => ({ row: index + 1, line }))
+      .filter(({ line }) => line.trim())
+      .map(({ row, line }) => {
+        try {
+          const data = JSON.parse(line);
+          if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { row, error: 'Row must be a JSON object' };
+          }
+          return { row, data };
+        } catch (error) {
+          return { row, error: `Invalid JSON: ${error.message}` };
+        }
+      });
+  }
+  
+  const [header, ...records] = parseCsv(text);
+  if (!header) return [];
+  
+  const columns = header.values.map(column => column.trim());
+  return records.map(({ line, values }) => ({
+    row: line,
+    data: columns.reduce((data, column, index) => {
+      // Empty cells are left out so schema defaults apply
+      if (values[index] !== undefined && values[index] !== '') data[column] = values[index];
+      return data;
+    }, {})
+  }));
+};
+
+// Number of approved reviews for each star rating
+const emptyRatingDistribution = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+// Review count, average rating (0 without reviews) and the distribution itself
+const summarizeRatings = (distribution) => {
+  const entries = Object.entries(distribution);
+  const reviewCount = entries.reduce((sum, [, count]) => sum + count, 0);
+  const total = entries.reduce((sum, [rating, count]) => sum + Number(rating) * count, 0);
+  return {
+    reviewCount,
+    avgRating: reviewCount ? Math.round((total / reviewCount) * 100) / 100 : 0,
+    ratingDistribution: distribution
+  };
+};
 
 // @desc    Get all products with filtering and pagination
 // @route   GET /api/products
@@ -7,68 +166,130 @@ const { StatusCodes } = require('http-status-codes');
 exports.getProducts = async (req, res, next) => {
   try {
     const { 
-      name, 
-      minPrice, 
-      maxPrice, 
-      category, 
-      inStock,
-      page = 1, 
-      limit = 10,
-      sort = '-createdAt'
+      sort = '-createdAt',
+      after,
+      before,
+      includeTotal,
+      currency
     } = req.query;
     
-    // Build query object
-    const query = {};
+    // Filters, sort, projection and page size are all whitelisted; anything else is a 400
+    const query = await buildProductQuery(req.query);
+    const pageSize = parseLimit(req.query.limit);
+    const select = parseFields(req.query.fields);
+    const sortSpec = parseSort(sort);
+    const cursorSort = parseCursorSort(sort);
     
-    // Filter by name (case-insensitive search)
-    if (name) {
-      query.name = { $regex: name, $options: 'i' };
-    }
-    
-    // Filter by price range
-    if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = Number(minPrice);
-      if (maxPrice) query.price.$lte = Number(maxPrice);
-    }
+    // Counting is the slow part on large catalogs, so clients can opt out
+    const total = includeTotal === 'false' ? undefined : await Product.countDocuments(query);
     
-    // Filter by category
-    if (category) {
-      query.category = { $in: category.split(',') };
-    }
-    
-    // Filter by stock status
-    if (inStock === 'true' || inStock === 'false') {
-      query.inStock = inStock === 'true';
+    // Cursor mode: stable under concurrent inserts, no matter how deep the client pages
+    if (after || before) {
+      if (after && before) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'Use either "after" or "before", not both');
+      }
+      if (!cursorSort) {
+        throw new ApiError(
+          StatusCodes.BAD_REQUEST,
+          `Cursor pagination supports sorting by a single field: ${CURSOR_SORT_FIELDS.join(', ')}`
+        );
+      }
+      
+      const { items, hasNext, hasPrev } = await findCursorPage(Product, query, {
+        after,
+        before,
+        sort: cursorSort,
+        limit: pageSize,
+        select
+      });
+      
+      const cursors = {
+        next: hasNext && items.length ? encodeCursor(items[items.length - 1], cursorSort) : null,
+        prev: hasPrev && items.length ? encodeCursor(items[0], cursorSort) : null
+      };
+      const links = {
+        next: cursors.next && pageUrl(req, { after: cursors.next, before: undefined, page: undefined }),
+        prev: cursors.prev && pageUrl(req, { before: cursors.prev, after: undefined, page: undefined })
+      };
+      
+      setLinkHeader(res, links);
+      return res.status(StatusCodes.OK).json({
+        success: true,
+        count: items.length,
+        total,
+        hasNextPage: hasNext,
+        hasPreviousPage: hasPrev,
+        cursors,
+        links,
+        data: currency ? await withDisplayPrices(items, currency) : items
+      });
     }
     
-    // Execute query with pagination
-    const total = await Product.countDocuments(query);
-    const products = await Product.find(query)
-      .sort(sort)
-      .skip((page - 1) * limit)
-      .limit(Number(limit));
+    // Legacy page/limit mode; one extra row tells us whether another page exists
+    const pageNumber = parsePage(req.query.page);
+    const rows = await Product.find(query)
+      .select(select && cursorSort ? `${select} ${cursorSort.field.split('.')[0]}` : select)
+      .sort(sortSpec)
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize + 1);
+    const products = rows.slice(0, pageSize);
     
     // Calculate pagination metadata
-    const totalPages = Math.ceil(total / limit);
-    const hasNextPage = page < totalPages;
-    const hasPreviousPage = page > 1;
+    const totalPages = total === undefined ? undefined : Math.ceil(total / pageSize);
+    const hasNextPage = rows.length > pageSize;
+    const hasPreviousPage = pageNumber > 1;
+    
+    // Cursors let a client switch from page numbers to cursor pagination at any point
+    const cursors = {
+      next: cursorSort && hasNextPage && products.length ? encodeCursor(products[products.length - 1], cursorSort) : null,
+      prev: cursorSort && hasPreviousPage && products.length ? encodeCursor(products[0], cursorSort) : null
+    };
+    const links = {
+      next: hasNextPage ? pageUrl(req, { page: pageNumber + 1 }) : null,
+      prev: hasPreviousPage ? pageUrl(req, { page: pageNumber - 1 }) : null
+    };
     
+    setLinkHeader(res, links);
     res.status(StatusCodes.OK).json({
       success: true,
       count: products.length,
       total,
-      page: Number(page),
+      page: pageNumber,
       totalPages,
       hasNextPage,
       hasPreviousPage,
-      data: products
+      cursors,
+      links,
+      data: currency ? await withDisplayPrices(products, currency) : products
     });
   } catch (error) {
     next(error);
   }
 };
 
+// Send one product with its ETag, or 304 if the client's copy is current. ?currency= adds
+// display prices.
+const sendProduct = async (req, res, product) => {
+  // Converted prices depend on the exchange rates too, so that representation gets its own
+  // weak ETag, which If-Match never accepts
+  const { currency } = req.query;
+  const data = currency ? (await withDisplayPrices([product], currency))[0] : product;
+  const etag = currency ? `W/${computeETag(data)}` : computeETag(product);
+  res.set('ETag', etag);
+  res.set('Accept-Patch', `${MERGE_PATCH}, ${JSON_PATCH}`);
+  
+  // Let caches revalidate without downloading the product again
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && matchesIfNoneMatch(ifNoneMatch, etag)) {
+    return res.status(StatusCodes.NOT_MODIFIED).end();
+  }
+  
+  res.status(StatusCodes.OK).json({
+    success: true,
+    data
+  });
+};
+
 // @desc    Get single product by ID
 // @route   GET /api/products/:id
 // @access  Public
@@ -77,16 +298,67 @@ exports.getProductById = async (req, res, next) => {
     const product = await Product.findById(req.params.id);
     
     if (!product) {
-      return res.status(StatusCodes.NOT_FOUND).json({
-        success: false,
-        error: `Product not found with id of ${req.params.id}`
-      });
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${req.params.id}`);
     }
     
-    res.status(StatusCodes.OK).json({
-      success: true,
-      data: product
-    });
+    await sendProduct(req, res, product);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a product by its SKU or one of its variants' SKUs
+// @route   GET /api/products/sku/:sku
+// @access  Public
+exports.getProductBySku = async (req, res, next) => {
+  try {
+    const { sku } = req.params;
+    const product = await Product.findOne({ sku }) || await Product.findOne({ 'variants.sku': sku });
+    
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `No product with SKU '${sku}'`);
+    }
+    
+    await sendProduct(req, res, product);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a product by slug; a slug the product had before redirects to the current one
+// @route   GET /api/products/slug/:slug
+// @access  Public
+exports.getProductBySlug = async (req, res, next) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const product = await Product.findOne({ slug });
+    if (product) return await sendProduct(req, res, product);
+    
+    const renamed = await Product.findOne({ previousSlugs: slug });
+    if (!renamed) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `No product with slug '${slug}'`);
+    }
+    
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?')) : '';
+    res.redirect(StatusCodes.MOVED_PERMANENTLY, `${req.baseUrl}/slug/${encodeURIComponent(renamed.slug)}${query}`);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a product by its GTIN (barcode number)
+// @route   GET /api/products/gtin/:gtin
+// @access  Public
+exports.getProductByGtin = async (req, res, next) => {
+  try {
+    const { gtin } = req.params;
+    const product = await Product.findOne({ gtin });
+    
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `No product with GTIN '${gtin}'`);
+    }
+    
+    await sendProduct(req, res, product);
   } catch (error) {
     next(error);
   }
@@ -97,17 +369,29 @@ exports.getProductById = async (req, res, next) => {
 // @access  Private/Admin
 exports.createProduct = async (req, res, next) => {
   try {
-    const { name, description, price, category, inStock } = req.body;
+    const {
+      name, sku, slug, gtin, description, price, priceList, category, inStock, lowStockThreshold, options
+    } = req.body;
     
-    // Create product
+    // Create product; without a slug, one is made from the name
     const product = await Product.create({
       name,
+      sku,
+      slug,
+      gtin,
       description,
       price,
-      category,
-      inStock: inStock !== undefined ? inStock : true
+      priceList,
+      category: await resolveCategory(category),
+      inStock: inStock !== undefined ? inStock : true,
+      lowStockThreshold,
+      options
     });
     
+    await ProductHistory.record({ product, action: 'create', user: req.user });
+    publishProductEvent('product.created', product);
+    
+    res.set('ETag', computeETag(product));
     res.status(StatusCodes.CREATED).json({
       success: true,
       data: product
@@ -117,38 +401,98 @@ exports.createProduct = async (req, res, next) => {
   }
 };
 
-// @desc    Update product
+// Save an edited product, record the new version and send it back with its new ETag
+const saveProductUpdate = async (req, res, product, before) => {
+  const updatedProduct = await product.save();
+  await recordProductUpdate(updatedProduct, before, req.user);
+  
+  res.set('ETag', computeETag(updatedProduct));
+  res.status(StatusCodes.OK).json({
+    success: true,
+    data: updatedProduct
+  });
+};
+
+// @desc    Replace a product's editable fields; omitted optional fields are reset to their defaults
 // @route   PUT /api/products/:id
 // @access  Private/Admin
 exports.updateProduct = async (req, res, next) => {
   try {
-    const { name, description, price, category, inStock } = req.body;
+    const product = await Product.findById(req.params.id);
+    
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${req.params.id}`);
+    }
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    await setEditableFields(product, pickFields(req.body, Object.keys(EDITABLE_FIELDS)));
+    // Fields left out of the body go back to their defaults
+    await setEditableFields(product, Object.fromEntries(Object.keys(EDITABLE_FIELDS)
+      .filter(field => req.body[field] === undefined)
+      .map(field => [field, undefined])));
+    
+    await saveProductUpdate(req, res, product, before);
+  } catch (error) {
+    next(toConcurrencyError(error));
+  }
+};
+
+// @desc    Partially update a product with a JSON Merge Patch (RFC 7396) or JSON Patch (RFC 6902)
+// @route   PATCH /api/products/:id
+// @access  Private/Admin
+exports.patchProduct = async (req, res, next) => {
+  try {
+    const isJsonPatch = req.is(JSON_PATCH);
+    if (!isJsonPatch && !req.is(MERGE_PATCH) && !req.is('application/json')) {
+      res.set('Accept-Patch', `${MERGE_PATCH}, ${JSON_PATCH}`);
+      throw new ApiError(
+        StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+        `Send a JSON Merge Patch (${MERGE_PATCH}) or a JSON Patch (${JSON_PATCH})`
+      );
+    }
+    if (!isJsonPatch && (req.body === null || typeof req.body !== 'object' || Array.isArray(req.body))) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'A merge patch must be a JSON object', { code: 'INVALID_PATCH' });
+    }
     
-    let product = await Product.findById(req.params.id);
+    const product = await Product.findById(req.params.id);
     
     if (!product) {
-      return res.status(StatusCodes.NOT_FOUND).json({
-        success: false,
-        error: `Product not found with id of ${req.params.id}`
-      });
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${req.params.id}`);
     }
     
-    // Update fields if they are provided in the request
-    if (name) product.name = name;
-    if (description) product.description = description;
-    if (price) product.price = price;
-    if (category) product.category = category;
-    if (inStock !== undefined) product.inStock = inStock;
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
     
-    // Save the updated product
-    const updatedProduct = await product.save();
+    // Patches apply to the product as clients read it, so `test` operations can check any field
+    const current = toPatchTarget(product);
+    const patched = isJsonPatch ? applyJsonPatch(current, req.body) : applyMergePatch(current, req.body);
     
-    res.status(StatusCodes.OK).json({
-      success: true,
-      data: updatedProduct
-    });
+    const changed = [...new Set([...Object.keys(current), ...Object.keys(patched)])]
+      .filter(field => !isEqualJson(current[field], patched[field]));
+    const readOnly = changed.filter(field => !(field in EDITABLE_FIELDS));
+    if (readOnly.length) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Validation failed', {
+        code: 'VALIDATION_FAILED',
+        errors: readOnly.map(field => ({
+          field,
+          location: 'body',
+          message: `'${field}' is read-only or has its own endpoint`
+        }))
+      });
+    }
+    
+    // The patched product has to be as valid as a full replacement would
+    const errors = await checkProductFields(pickFields(patched, Object.keys(EDITABLE_FIELDS)));
+    if (errors.length) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Validation failed', { code: 'VALIDATION_FAILED', errors });
+    }
+    
+    await setEditableFields(product, Object.fromEntries(changed.map(field => [field, patched[field]])));
+    await saveProductUpdate(req, res, product, before);
   } catch (error) {
-    next(error);
+    next(toConcurrencyError(error));
   }
 };
 
@@ -160,18 +504,109 @@ exports.deleteProduct = async (req, res, next) => {
     const product = await Product.findById(req.params.id);
     
     if (!product) {
-      return res.status(StatusCodes.NOT_FOUND).json({
-        success: false,
-        error: `Product not found with id of ${req.params.id}`
-      });
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${req.params.id}`);
     }
     
-    await product.deleteOne();
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    // Soft delete; the product stays in the trash until it is purged
+    product.deletedAt = new Date();
+    product.deletedBy = toActor(req.user);
+    await product.save();
+    await ProductHistory.record({ product, action: 'delete', user: req.user, before });
+    publishProductEvent('product.deleted', product);
     
     res.status(StatusCodes.OK).json({
       success: true,
       data: {}
     });
+  } catch (error) {
+    next(toConcurrencyError(error));
+  }
+};
+
+// @desc    List soft-deleted products
+// @route   GET /api/products/trash
+// @access  Private/Editor
+exports.getTrash = async (req, res, next) => {
+  try {
+    const { sort = '-deletedAt' } = req.query;
+    const limit = parseLimit(req.query.limit);
+    const page = parsePage(req.query.page);
+    const query = { deletedAt: { $ne: null } };
+    
+    if (!TRASH_SORTS.includes(sort)) {
+      throw invalidQuery([{ parameter: 'sort', message: `sort must be one of: ${TRASH_SORTS.join(', ')}` }]);
+    }
+    
+    const total = await Product.countDocuments(query);
+    const products = await Product.find(query)
+      .sort(sort)
+      .skip((page - 1) * limit)
+      .limit(limit);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: products.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      data: products
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Move a product out of the trash
+// @route   POST /api/products/:id/undelete
+// @access  Private/Editor
+exports.undeleteProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `No deleted product found with id of ${req.params.id}`);
+    }
+    
+    const before = ProductHistory.toSnapshot(product);
+    product.deletedAt = null;
+    product.deletedBy = undefined;
+    await product.save();
+    await ProductHistory.record({ product, action: 'restore', user: req.user, before });
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Permanently remove a product from the trash along with its reviews and image files
+//          (its history is kept for auditing)
+// @route   DELETE /api/products/:id/purge
+// @access  Private/Admin
+exports.purgeProduct = async (req, res, next) => {
+  try {
+    const product = await Product.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+    
+    if (!product) {
+      throw new ApiError(
+        StatusCodes.NOT_FOUND,
+        `No deleted product found with id of ${req.params.id}; delete it before purging`
+      );
+    }
+    
+    const before = ProductHistory.toSnapshot(product);
+    await product.deleteOne();
+    await ProductHistory.record({ product, action: 'purge', user: req.user, before });
+    await Review.deleteMany({ product: product._id });
+    await removeImageFiles(product.images);
+    
+    res.status(StatusCodes.NO_CONTENT).send();
   } catch (error) {
     next(error);
   }
@@ -182,36 +617,256 @@ exports.deleteProduct = async (req, res, next) => {
 // @access  Public
 exports.getProductStats = async (req, res, next) => {
   try {
+    // With ?level=N, each product counts towards its category's ancestor at depth N
+    const depth = parseLevel(req.query.level);
+    const rollUp = categoryRollUp(depth);
+    
+    // The same filters as GET /api/products, e.g. ?inStock=true&price[gte]=10000
+    const query = await buildProductQuery(req.query, { ignore: ANALYTICS_PARAMS });
+    const filtered = Object.keys(query).length > 0;
+    
+    // Money figures are in minor units of BASE_CURRENCY; products priced in a currency
+    // without an exchange rate only count towards `count` and `unitsOnHand`
+    const rates = await ExchangeRate.getRates();
     const stats = await Product.aggregate([
+      { $match: query },
+      ...rollUp,
+      { $addFields: { baseAmount: baseAmountExpression(rates) } },
       {
         $group: {
           _id: '$category',
           count: { $sum: 1 },
-          avgPrice: { $avg: '$price' },
-          minPrice: { $min: '$price' },
-          maxPrice: { $max: '$price' },
-          totalValue: { $sum: '$price' }
+          avgPrice: { $avg: '$baseAmount' },
+          minPrice: { $min: '$baseAmount' },
+          maxPrice: { $max: '$baseAmount' },
+          unitsOnHand: { $sum: { $ifNull: ['$quantity', 0] } },
+          stockValue: { $sum: { $multiply: ['$baseAmount', { $ifNull: ['$quantity', 0] }] } }
+        }
+      },
+      {
+        $lookup: {
+          from: Category.collection.name,
+          localField: '_id',
+          foreignField: '_id',
+          as: 'category'
+        }
+      },
+      {
+        $addFields: {
+          name: { $first: '$category.name' },
+          slug: { $first: '$category.slug' },
+          depth: { $size: { $ifNull: [{ $first: '$category.ancestors' }, []] } }
+        }
+      },
+      { $project: { category: 0 } },
+      {
+        $sort: { slug: 1 }
+      }
+    ]);
+    
+    // Approved reviews per category and star rating, rolled up the same way as the products
+    const reviewMatch = { status: 'approved' };
+    if (filtered) reviewMatch.product = { $in: await Product.distinct('_id', { ...query, deletedAt: null }) };
+    const ratingCounts = await Review.aggregate([
+      { $match: reviewMatch },
+      {
+        $lookup: {
+          from: Product.collection.name,
+          localField: 'product',
+          foreignField: '_id',
+          as: 'productDoc'
         }
       },
+      { $unwind: '$productDoc' },
+      { $match: { 'productDoc.deletedAt': null } },
+      { $project: { rating: 1, category: '$productDoc.category' } },
+      ...rollUp,
       {
-        $sort: { _id: 1 }
+        $group: {
+          _id: { category: '$category', rating: '$rating' },
+          count: { $sum: 1 }
+        }
       }
     ]);
     
+    const overallRatings = emptyRatingDistribution();
+    const ratingsByCategory = new Map();
+    ratingCounts.forEach(({ _id, count }) => {
+      const key = String(_id.category);
+      if (!ratingsByCategory.has(key)) ratingsByCategory.set(key, emptyRatingDistribution());
+      ratingsByCategory.get(key)[_id.rating] = count;
+      overallRatings[_id.rating] += count;
+    });
+    stats.forEach(row => {
+      Object.assign(row, summarizeRatings(ratingsByCategory.get(String(row._id)) || emptyRatingDistribution()));
+    });
+    
     // Calculate overall statistics
     const totalProducts = stats.reduce((acc, curr) => acc + curr.count, 0);
-    const inStockCount = await Product.countDocuments({ inStock: true });
+    const unitsOnHand = stats.reduce((acc, curr) => acc + curr.unitsOnHand, 0);
+    const stockValue = stats.reduce((acc, curr) => acc + curr.stockValue, 0);
+    const inStockCount = await Product.countDocuments({ $and: [query, { inStock: true }] });
     
     res.status(StatusCodes.OK).json({
       success: true,
       data: {
+        currency: BASE_CURRENCY,
         totalProducts,
+        unitsOnHand,
+        stockValue,
         inStock: inStockCount,
         outOfStock: totalProducts - inStockCount,
+        ...summarizeRatings(overallRatings),
         byCategory: stats
       }
     });
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+// @desc    Import products from CSV or NDJSON
+// @route   POST /api/products/import
+// @access  Private/Admin
+exports.importProducts = async (req, res, next) => {
+  try {
+    const format = resolveTransferFormat(
+      req.query.format || (req.is('application/x-ndjson') ? 'ndjson' : 'csv')
+    );
+    const dryRun = req.query.dryRun === 'true';
+    
+    if (typeof req.body !== 'string') {
+      throw new ApiError(
+        StatusCodes.BAD_REQUEST,
+        'Request body must be CSV (text/csv) or NDJSON (application/x-ndjson)'
+      );
+    }
+    
+    let records;
+    try {
+      records = parseImportRecords(req.body, format);
+    } catch (error) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, error.message);
+    }
+    
+    // Rows may name categories by slug or id
+    const categories = await Category.find().select('slug');
+    const categoryIds = new Map(categories.flatMap(category => [
+      [category.slug, category._id],
+      [category.id, category._id]
+    ]));
+    
+    // Validate every row against the Product schema before writing anything
+    const errors = [];
+    const valid = [];
+    records.forEach(({ row, data, error }) => {
+      if (error) {
+        errors.push({ row, field: null, message: error });
+        return;
+      }
+      
+      const { currency, ...fields } = pickFields(data, IMPORT_FIELDS);
+      if (fields.price !== undefined && typeof fields.price !== 'object') {
+        fields.price = { amount: Number(fields.price), currency };
+      }
+      if (fields.category !== undefined) {
+        const categoryId = categoryIds.get(String(fields.category).trim().toLowerCase());
+        if (!categoryId) {
+          errors.push({ row, field: 'category', message: `Unknown category '${fields.category}'` });
+          return;
+        }
+        fields.category = categoryId;
+      }
+      
+      const product = new Product(fields);
+      const validationError = product.validateSync();
+      if (validationError) {
+        Object.values(validationError.errors).forEach(({ path, message }) => {
+          errors.push({ row, field: path, message });
+        });
+      } else {
+        valid.push({ row, product });
+      }
+    });
+    
+    let inserted = [];
+    if (!dryRun && valid.length) {
+      await Product.assignSlugs(valid.map(({ product }) => product));
+      try {
+        inserted = await Product.insertMany(valid.map(({ product }) => product), { ordered: false });
+      } catch (error) {
+        if (!error.writeErrors) throw error;
+        
+        // Most likely a SKU, slug or GTIN that is already taken
+        error.writeErrors.forEach((writeError) => {
+          const row = valid[writeError.index].row;
+          const duplicates = writeError.code === 11000 ? duplicateKeyErrors(writeError.err || writeError) : [];
+          if (duplicates.length) duplicates.forEach(({ field, message }) => errors.push({ row, field, message }));
+          else errors.push({ row, field: null, message: writeError.errmsg });
+        });
+        inserted = error.insertedDocs || [];
+      }
+      
+      if (inserted.length) {
+        await ProductHistory.recordCreates(inserted, req.user);
+        inserted.forEach(product => publishProductEvent('product.created', product));
+      }
+    }
+    
+    errors.sort((a, b) => a.row - b.row);
+    
+    res.status(StatusCodes.OK).json({
+      success: errors.length === 0,
+      dryRun,
+      total: records.length,
+      valid: valid.length,
+      imported: inserted.length,
+      failed: new Set(errors.map(({ row }) => row)).size,
+      errors
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Export products as CSV or NDJSON, using the same filters as GET /api/products
+// @route   GET /api/products/export
+// @access  Private/Admin
+exports.exportProducts = async (req, res, next) => {
+  try {
+    const format = resolveTransferFormat(req.query.format || 'csv');
+    const { sort = '-createdAt' } = req.query;
+    
+    const query = await buildProductQuery(req.query);
+    const sortSpec = parseSort(sort);
+    
+    // Categories are exported by slug so the file can be imported again as-is
+    const categories = await Category.find().select('slug');
+    const slugs = new Map(categories.map(category => [category.id, category.slug]));
+    
+    const cursor = Product.find(query).sort(sortSpec).cursor();
+    const serialize = new Transform({
+      writableObjectMode: true,
+      transform(product, encoding, callback) {
+        const record = product.toJSON();
+        record.category = slugs.get(String(record.category)) || record.category;
+        record.currency = record.price.currency;
+        record.price = record.price.amount;
+        callback(null, format === 'csv'
+          ? toCsvRow(EXPORT_FIELDS.map(field => record[field]))
+          : `${JSON.stringify(pickFields(record, EXPORT_FIELDS))}\n`);
+      }
+    });
+    
+    res.status(StatusCodes.OK);
+    res.type(TRANSFER_FORMATS[format]);
+    res.attachment(`products.${format}`);
+    if (format === 'csv') res.write(toCsvRow(EXPORT_FIELDS));
+    
+    // Stream documents straight from the cursor so large catalogs aren't buffered
+    await pipeline(cursor, serialize, res);
+  } catch (error) {
+    if (res.headersSent) return res.destroy(error);
+    next(error);
+  }
+};
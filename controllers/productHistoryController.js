@@ -0,0 +1,193 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const Category = require('../models/Category');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { BASE_CURRENCY, toMinorUnits } = require('../utils/money');
+const { parseLimit, parsePage } = require('../utils/productQuery');
+
+// Fields whose changes make up the price timeline
+const PRICE_FIELDS = ['price', 'regularPrice', 'priceList'];
+
+// Snapshots taken before prices carried a currency hold a bare amount in major units
+const toMoney = (price) => (typeof price === 'number'
+  ? { amount: toMinorUnits(price, BASE_CURRENCY), currency: BASE_CURRENCY }
+  : price);
+
+// @desc    Get the change history of a product, newest first
+// @route   GET /api/products/:id/history
+// @access  Private
+exports.getProductHistory = async (req, res, next) => {
+  try {
+    const history = await ProductHistory.find({ product: req.params.id }).sort('-version');
+    
+    if (!history.length) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `No history found for product with id of ${req.params.id}`);
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: history.length,
+      data: history
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the price timeline of a product, newest first
+// @route   GET /api/products/:id/prices
+// @access  Public
+exports.getPriceHistory = async (req, res, next) => {
+  try {
+    const pageSize = parseLimit(req.query.limit);
+    const pageNumber = parsePage(req.query.page);
+    const query = {
+      product: req.params.id,
+      action: { $in: ['create', 'update', 'restore'] },
+      'changes.field': { $in: PRICE_FIELDS }
+    };
+    
+    const total = await ProductHistory.countDocuments(query);
+    const entries = await ProductHistory.find(query)
+      .sort('-version')
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize);
+    
+    if (!total && !(await ProductHistory.exists({ product: req.params.id }))) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `No history found for product with id of ${req.params.id}`);
+    }
+    
+    // Each entry is the pricing in effect from `at` until the next entry
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: entries.length,
+      total,
+      page: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      data: entries.map(({ version, action, actor, createdAt, snapshot, changes }) => ({
+        version,
+        action,
+        at: createdAt,
+        actor,
+        price: toMoney(snapshot.price),
+        regularPrice: snapshot.regularPrice,
+        priceList: snapshot.priceList || [],
+        changes: changes.filter(({ field }) => PRICE_FIELDS.includes(field))
+      }))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Restore a product to a previous version, undeleting or recreating it if needed
+// @route   POST /api/products/:id/restore?version=N
+// @access  Private/Editor
+exports.restoreProduct = async (req, res, next) => {
+  try {
+    const { version } = req.query;
+    const filter = { product: req.params.id };
+    
+    if (version !== undefined) {
+      filter.version = Number(version);
+      if (!Number.isInteger(filter.version) || filter.version < 1) {
+        throw new ApiError(StatusCodes.BAD_REQUEST, 'version must be a positive integer');
+      }
+    }
+    
+    // Without a version, restore the most recent recorded state
+    const entry = await ProductHistory.findOne(filter).sort('-version');
+    
+    if (!entry) {
+      throw new ApiError(
+        StatusCodes.NOT_FOUND,
+        version !== undefined
+          ? `Version ${version} not found for product with id of ${req.params.id}`
+          : `No history found for product with id of ${req.params.id}`
+      );
+    }
+    
+    const { _id, createdAt, updatedAt, ...fields } = entry.snapshot;
+    
+    // Snapshots taken before categories became documents hold the category name
+    if (typeof fields.category === 'string') {
+      const category = await Category.findByRef(fields.category);
+      if (!category) {
+        throw new ApiError(StatusCodes.CONFLICT, `Category '${fields.category}' of that version no longer exists`);
+      }
+      fields.category = category._id;
+    }
+    fields.price = toMoney(fields.price);
+    
+    // Trashed products are updated in place; purged ones are recreated
+    let product = await Product.findById(req.params.id).setOptions({ withDeleted: true });
+    const before = product ? ProductHistory.toSnapshot(product) : undefined;
+    
+    // Images, ratings and inventory aren't versioned: the files of removed images are gone, the
+    // rating follows the reviews and stock levels must stay in line with the movement ledger and
+    // active reservations, so the product keeps what it has now (nothing once purged). The same
+    // goes for the SKU and slug history, which versions from before identifiers existed lack.
+    if (product) {
+      const variantQuantities = new Map(product.variants.map(variant => [variant._id.toString(), variant.quantity]));
+      
+      // Variants the version doesn't have would be dropped along with their stock
+      const restoredVariants = new Set((fields.variants || []).map(variant => String(variant._id)));
+      const stranded = product.variants.filter(variant => variant.quantity > 0 && !restoredVariants.has(variant._id.toString()));
+      if (stranded.length) {
+        throw new ApiError(
+          StatusCodes.CONFLICT,
+          `Version ${entry.version} lacks variants that still hold stock: ${stranded.map(variant => variant.sku).join(', ')}`
+        );
+      }
+      
+      // Overwrite so fields absent from the snapshot are cleared too
+      product.overwrite({
+        ...fields,
+        variants: (fields.variants || []).map(variant => ({
+          ...variant,
+          quantity: variantQuantities.get(String(variant._id)) || 0
+        })),
+        images: product.images.map(image => image.toObject({ virtuals: false })),
+        rating: product.rating,
+        reviewCount: product.reviewCount,
+        trackInventory: product.trackInventory,
+        stock: product.stock.map(line => line.toObject()),
+        quantity: product.quantity,
+        reserved: product.reserved,
+        inStock: product.inStock,
+        sku: product.sku || fields.sku,
+        slug: product.slug,
+        previousSlugs: [...product.previousSlugs],
+        createdAt: product.createdAt
+      });
+      // The version's slug comes back through changeSlug, so links using the current one keep working
+      product.changeSlug(fields.slug);
+    } else {
+      product = new Product({
+        _id,
+        createdAt,
+        ...fields,
+        variants: (fields.variants || []).map(variant => ({ ...variant, quantity: 0 })),
+        images: [],
+        rating: 0,
+        reviewCount: 0,
+        stock: [],
+        quantity: 0,
+        reserved: 0,
+        inStock: false
+      });
+    }
+    
+    await product.save();
+    await ProductHistory.record({ product, action: 'restore', user: req.user, before });
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      restoredVersion: entry.version,
+      data: product
+    });
+  } catch (error) {
+    next(error);
+  }
+};
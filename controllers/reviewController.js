@@ -0,0 +1,238 @@
+const mongoose = require('mongoose');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const toActor = require('../utils/actor');
+const { invalidQuery, parseLimit, parsePage } = require('../utils/productQuery');
+
+const REVIEW_SORTS = ['createdAt', '-createdAt', 'rating', '-rating'];
+const MODERATOR_ROLES = ['editor', 'admin'];
+
+const isModerator = (user) => MODERATOR_ROLES.includes(user.role);
+const isAuthor = (review, user) => review.author.id === user.id;
+
+const parseReviewSort = (sort = '-createdAt') => {
+  if (!REVIEW_SORTS.includes(sort)) {
+    throw invalidQuery([{ parameter: 'sort', message: `sort must be one of: ${REVIEW_SORTS.join(', ')}` }]);
+  }
+  return sort;
+};
+
+// Send one page of the matching reviews with page/limit pagination
+const sendReviewPage = async (res, query, reqQuery, extra = {}) => {
+  const sort = parseReviewSort(reqQuery.sort);
+  const limit = parseLimit(reqQuery.limit);
+  const page = parsePage(reqQuery.page);
+  
+  const total = await Review.countDocuments(query);
+  const reviews = await Review.find(query)
+    .sort(`${sort} -_id`)
+    .skip((page - 1) * limit)
+    .limit(limit);
+  
+  res.status(StatusCodes.OK).json({
+    success: true,
+    ...extra,
+    count: reviews.length,
+    total,
+    page,
+    totalPages: Math.ceil(total / limit),
+    data: reviews
+  });
+};
+
+// Pending and rejected reviews are only visible to their author and moderators;
+// everyone else gets a 404 as if they didn't exist
+const findVisibleReview = async (id, user) => {
+  const review = await Review.findById(id);
+  if (!review || (review.status !== 'approved' && !isAuthor(review, user) && !isModerator(user))) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Review not found with id of ${id}`);
+  }
+  return review;
+};
+
+// @desc    List a product's approved reviews
+// @route   GET /api/products/:id/reviews
+// @access  Public
+exports.getProductReviews = async (req, res, next) => {
+  try {
+    const product = await Product.findById(req.params.id).select('rating reviewCount');
+    
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${req.params.id}`);
+    }
+    
+    const query = { product: product._id, status: 'approved' };
+    if (req.query.rating !== undefined) {
+      const rating = Number(req.query.rating);
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        throw invalidQuery([{ parameter: 'rating', message: 'rating must be a whole number from 1 to 5' }]);
+      }
+      query.rating = rating;
+    }
+    
+    await sendReviewPage(res, query, req.query, {
+      rating: product.rating,
+      reviewCount: product.reviewCount
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Review a product; the review is published once a moderator approves it
+// @route   POST /api/products/:id/reviews
+// @access  Private
+exports.createReview = async (req, res, next) => {
+  try {
+    const { rating, title, body } = req.body;
+    
+    if (req.user.type !== 'user') {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Reviews must be written by a user account, not an API key');
+    }
+    
+    const product = await Product.findById(req.params.id).select('_id');
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${req.params.id}`);
+    }
+    
+    const review = await Review.create({
+      product: product._id,
+      author: { id: req.user.id, name: req.user.name },
+      rating,
+      title,
+      body
+    });
+    
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error.code === 11000
+      ? new ApiError(StatusCodes.CONFLICT, 'You have already reviewed this product; edit your review instead')
+      : error);
+  }
+};
+
+// @desc    List reviews across products, e.g. the moderation queue (?status=pending)
+// @route   GET /api/reviews
+// @access  Private/Editor
+exports.getReviews = async (req, res, next) => {
+  try {
+    const { status, product } = req.query;
+    const query = {};
+    
+    if (status !== undefined) {
+      if (!Review.STATUSES.includes(status)) {
+        throw invalidQuery([{ parameter: 'status', message: `status must be one of: ${Review.STATUSES.join(', ')}` }]);
+      }
+      query.status = status;
+    }
+    if (product !== undefined) {
+      if (!mongoose.isValidObjectId(product)) {
+        throw invalidQuery([{ parameter: 'product', message: 'product must be a product id' }]);
+      }
+      query.product = product;
+    }
+    
+    await sendReviewPage(res, query, req.query);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a review
+// @route   GET /api/reviews/:id
+// @access  Private
+exports.getReview = async (req, res, next) => {
+  try {
+    const review = await findVisibleReview(req.params.id, req.user);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Rewrite your own review; it goes back to moderation
+// @route   PUT /api/reviews/:id
+// @access  Private (author)
+exports.updateReview = async (req, res, next) => {
+  try {
+    const { rating, title, body } = req.body;
+    const review = await findVisibleReview(req.params.id, req.user);
+    
+    if (!isAuthor(review, req.user)) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Only the author can edit a review');
+    }
+    
+    const wasApproved = review.status === 'approved';
+    review.set({ rating, title, body, status: 'pending' });
+    await review.save();
+    if (wasApproved) await Review.syncProductRating(review.product);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve or reject a review
+// @route   PUT /api/reviews/:id/status
+// @access  Private/Editor
+exports.moderateReview = async (req, res, next) => {
+  try {
+    const { status, note } = req.body;
+    const review = await Review.findById(req.params.id);
+    
+    if (!review) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Review not found with id of ${req.params.id}`);
+    }
+    
+    const previousStatus = review.status;
+    review.status = status;
+    review.moderation = { by: toActor(req.user), at: new Date(), note };
+    await review.save();
+    if (previousStatus === 'approved' || status === 'approved') {
+      await Review.syncProductRating(review.product);
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: review
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete a review
+// @route   DELETE /api/reviews/:id
+// @access  Private (author, editor or admin)
+exports.deleteReview = async (req, res, next) => {
+  try {
+    const review = await findVisibleReview(req.params.id, req.user);
+    
+    if (!isAuthor(review, req.user) && !isModerator(req.user)) {
+      throw new ApiError(StatusCodes.FORBIDDEN, 'Only the author or a moderator can delete a review');
+    }
+    
+    await review.deleteOne();
+    if (review.status === 'approved') await Review.syncProductRating(review.product);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
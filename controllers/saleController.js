@@ -0,0 +1,105 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { computeETag } = require('../utils/etag');
+const { checkIfMatch, toConcurrencyError } = require('../utils/preconditions');
+const { recordProductUpdate } = require('../services/productEvents');
+
+const findProduct = async (id) => {
+  const product = await Product.findById(id);
+  if (!product) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${id}`);
+  }
+  return product;
+};
+
+// Overlapping or mis-dated sales are client errors, not server errors
+const toSaleError = (error) => {
+  if (error.name === 'ValidationError') {
+    return new ApiError(StatusCodes.BAD_REQUEST, 'Invalid sale', {
+      code: 'VALIDATION_FAILED',
+      errors: Object.values(error.errors).map(({ path, message }) => ({ field: path, message }))
+    });
+  }
+  return toConcurrencyError(error);
+};
+
+// @desc    List a product's sales, past and scheduled
+// @route   GET /api/products/:id/sales
+// @access  Public
+exports.getSales = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    const sales = [...product.sales].sort((a, b) => a.startsAt - b.startsAt);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: sales.length,
+      regularPrice: product.regularPrice || product.price,
+      data: sales
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Schedule a sale; it starts right away if startsAt has passed
+// @route   POST /api/products/:id/sales
+// @access  Private/Editor
+exports.createSale = async (req, res, next) => {
+  try {
+    const { name, price, startsAt, endsAt } = req.body;
+    const product = await findProduct(req.params.id);
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    product.sales.push({ name, price, startsAt, endsAt });
+    const sale = product.sales[product.sales.length - 1];
+    product.applySales();
+    
+    await product.save();
+    await recordProductUpdate(product, before, req.user);
+    
+    res.set('ETag', computeETag(product));
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: sale
+    });
+  } catch (error) {
+    next(toSaleError(error));
+  }
+};
+
+// @desc    Cancel a scheduled or running sale, restoring the regular price
+// @route   DELETE /api/products/:id/sales/:saleId
+// @access  Private/Editor
+exports.cancelSale = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    const sale = product.sales.id(req.params.saleId);
+    
+    if (!sale) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Sale not found with id of ${req.params.saleId}`);
+    }
+    if (sale.status !== 'scheduled' && sale.status !== 'active') {
+      throw new ApiError(StatusCodes.CONFLICT, `Sale has already ${sale.status}`);
+    }
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    product.endSale(sale, 'cancelled');
+    await product.save();
+    await recordProductUpdate(product, before, req.user);
+    
+    res.set('ETag', computeETag(product));
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: sale
+    });
+  } catch (error) {
+    next(toSaleError(error));
+  }
+};
@@ -0,0 +1,126 @@
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { invalidQuery, buildProductQuery, parseLimit, parsePage } = require('../utils/productQuery');
+const { expandQuery, highlight } = require('../services/searchService');
+const { BASE_CURRENCY, minorDigits } = require('../utils/money');
+
+// Lower bounds of the price facet buckets in minor units of BASE_CURRENCY (0, 25, 50...
+// in major units); anything above the last one lands in an open-ended bucket
+const PRICE_BUCKETS = [0, 25, 50, 100, 250, 500, 1000].map(bound => bound * 10 ** minorDigits(BASE_CURRENCY));
+
+const formatPriceFacets = (buckets) => buckets.map(({ _id, count }) => {
+  if (_id === 'over') {
+    return { min: PRICE_BUCKETS[PRICE_BUCKETS.length - 1], max: null, currency: BASE_CURRENCY, count };
+  }
+  const index = PRICE_BUCKETS.indexOf(_id);
+  return { min: _id, max: PRICE_BUCKETS[index + 1], currency: BASE_CURRENCY, count };
+});
+
+// @desc    Full-text search with relevance ranking, facets, highlighting and typo tolerance
+// @route   GET /api/products/search
+// @access  Public
+exports.searchProducts = async (req, res, next) => {
+  try {
+    const { q } = req.query;
+    
+    if (q !== undefined && typeof q !== 'string') {
+      throw invalidQuery([{ parameter: 'q', message: 'q must be given once, as a string' }]);
+    }
+    if (!q || !q.trim()) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Search query parameter "q" is required');
+    }
+    
+    const pageSize = parseLimit(req.query.limit);
+    const pageNumber = parsePage(req.query.page);
+    const filters = await buildProductQuery(req.query);
+    
+    const { terms, corrections } = await expandQuery(q);
+    const searchTerms = [...terms, ...Object.values(corrections).flat()];
+    
+    if (!searchTerms.length) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Search query must contain at least one word');
+    }
+    
+    // $text must be part of the first $match stage; the other filters reuse the listing params
+    const [result] = await Product.aggregate([
+      {
+        $match: {
+          ...filters,
+          $text: { $search: searchTerms.join(' ') }
+        }
+      },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          results: [
+            { $sort: { score: -1, _id: 1 } },
+            { $skip: (pageNumber - 1) * pageSize },
+            { $limit: pageSize }
+          ],
+          total: [{ $count: 'count' }],
+          categories: [
+            { $group: { _id: '$category', count: { $sum: 1 } } },
+            { $sort: { count: -1, _id: 1 } },
+            {
+              $lookup: {
+                from: Category.collection.name,
+                localField: '_id',
+                foreignField: '_id',
+                as: 'category'
+              }
+            },
+            { $addFields: { slug: { $first: '$category.slug' }, name: { $first: '$category.name' } } }
+          ],
+          priceRanges: [
+            // Amounts in other currencies aren't comparable with the bucket bounds
+            { $match: { 'price.currency': BASE_CURRENCY } },
+            {
+              $bucket: {
+                groupBy: '$price.amount',
+                boundaries: PRICE_BUCKETS,
+                default: 'over',
+                output: { count: { $sum: 1 } }
+              }
+            }
+          ],
+          stockStatus: [
+            { $group: { _id: '$inStock', count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]);
+    
+    const total = result.total.length ? result.total[0].count : 0;
+    const data = result.results.map(({ score, ...doc }) => {
+      const product = Product.hydrate(doc);
+      return {
+        ...product.toJSON(),
+        score,
+        highlights: {
+          name: highlight(product.name, searchTerms),
+          description: highlight(product.description, searchTerms)
+        }
+      };
+    });
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      query: q,
+      corrections,
+      count: data.length,
+      total,
+      page: pageNumber,
+      totalPages: Math.ceil(total / pageSize),
+      facets: {
+        categories: result.categories.map(({ _id, slug, name, count }) => ({ value: _id, slug, name, count })),
+        priceRanges: formatPriceFacets(result.priceRanges),
+        stockStatus: result.stockStatus.map(({ _id, count }) => ({ inStock: Boolean(_id), count }))
+      },
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,47 @@
+const User = require('../models/User');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+
+// @desc    Get all users
+// @route   GET /api/users
+// @access  Private/Admin
+exports.getUsers = async (req, res, next) => {
+  try {
+    const users = await User.find().sort('email');
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Change a user's role
+// @route   PUT /api/users/:id/role
+// @access  Private/Admin
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id);
+    
+    if (!user) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `User not found with id of ${req.params.id}`);
+    }
+    
+    if (user.id === req.user.id && req.body.role !== 'admin') {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'You cannot remove your own admin role');
+    }
+    
+    user.role = req.body.role;
+    await user.save();
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,155 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { computeETag } = require('../utils/etag');
+const { checkIfMatch, toConcurrencyError } = require('../utils/preconditions');
+const { recordProductUpdate } = require('../services/productEvents');
+
+const findProduct = async (id) => {
+  const product = await Product.findById(id);
+  if (!product) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${id}`);
+  }
+  return product;
+};
+
+const findVariant = (product, variantId) => {
+  const variant = product.variants.id(variantId);
+  if (!variant) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Variant not found with id of ${variantId}`);
+  }
+  return variant;
+};
+
+// Option mismatches and duplicate SKUs are client errors, not server errors
+const toVariantError = (error) => {
+  if (error.name === 'ValidationError') {
+    return new ApiError(StatusCodes.BAD_REQUEST, 'Invalid variant', {
+      code: 'VALIDATION_FAILED',
+      errors: Object.values(error.errors).map(({ path, message }) => ({ field: path, message }))
+    });
+  }
+  if (error.code === 11000) {
+    return new ApiError(StatusCodes.CONFLICT, 'A variant with this SKU already exists', { code: 'DUPLICATE_RESOURCE' });
+  }
+  return toConcurrencyError(error);
+};
+
+// Save a variant change as an update of the product: history, events and a fresh ETag
+const saveProduct = async (req, res, product, before) => {
+  await product.save();
+  await recordProductUpdate(product, before, req.user);
+  res.set('ETag', computeETag(product));
+};
+
+// @desc    List a product's option definitions and variants
+// @route   GET /api/products/:id/variants
+// @access  Public
+exports.getVariants = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: product.variants.length,
+      options: product.options,
+      priceRange: product.priceRange,
+      data: product.variants
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a single variant
+// @route   GET /api/products/:id/variants/:variantId
+// @access  Public
+exports.getVariant = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: findVariant(product, req.params.variantId)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a variant
+// @route   POST /api/products/:id/variants
+// @access  Private/Editor
+exports.createVariant = async (req, res, next) => {
+  try {
+    const { sku, options, price, quantity } = req.body;
+    const product = await findProduct(req.params.id);
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    product.variants.push({ sku, options, price, quantity });
+    await saveProduct(req, res, product, before);
+    
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: product.variants[product.variants.length - 1]
+    });
+  } catch (error) {
+    next(toVariantError(error));
+  }
+};
+
+// @desc    Replace a variant
+// @route   PUT /api/products/:id/variants/:variantId
+// @access  Private/Editor
+exports.updateVariant = async (req, res, next) => {
+  try {
+    const { sku, options, price, quantity } = req.body;
+    const product = await findProduct(req.params.id);
+    const variant = findVariant(product, req.params.variantId);
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    // Omitted fields go back to their defaults; a variant without a price sells at the product price
+    variant.set({
+      sku,
+      options: options || {},
+      price: price === null ? undefined : price,
+      quantity: quantity === undefined ? 0 : quantity
+    });
+    await saveProduct(req, res, product, before);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: variant
+    });
+  } catch (error) {
+    next(toVariantError(error));
+  }
+};
+
+// @desc    Remove a variant
+// @route   DELETE /api/products/:id/variants/:variantId
+// @access  Private/Editor
+exports.deleteVariant = async (req, res, next) => {
+  try {
+    const product = await findProduct(req.params.id);
+    const variant = findVariant(product, req.params.variantId);
+    
+    checkIfMatch(req, product);
+    const before = ProductHistory.toSnapshot(product);
+    
+    variant.deleteOne();
+    await saveProduct(req, res, product, before);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(toVariantError(error));
+  }
+};
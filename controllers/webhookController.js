@@ -0,0 +1,186 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const toActor = require('../utils/actor');
+const webhookService = require('../services/webhookService');
+const { invalidQuery, parseLimit, parsePage } = require('../utils/productQuery');
+
+const findWebhook = async (id) => {
+  const webhook = await Webhook.findById(id);
+  if (!webhook) {
+    throw new ApiError(StatusCodes.NOT_FOUND, `Webhook not found with id of ${id}`);
+  }
+  return webhook;
+};
+
+// @desc    List webhook subscriptions
+// @route   GET /api/webhooks
+// @access  Private/Admin
+exports.getWebhooks = async (req, res, next) => {
+  try {
+    const webhooks = await Webhook.find().sort('-createdAt');
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: webhooks.length,
+      data: webhooks
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a webhook subscription
+// @route   GET /api/webhooks/:id
+// @access  Private/Admin
+exports.getWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Subscribe a URL to product events
+// @route   POST /api/webhooks
+// @access  Private/Admin
+exports.createWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description, active } = req.body;
+    
+    const webhook = await Webhook.create({
+      url,
+      events,
+      description,
+      active,
+      createdBy: toActor(req.user)
+    });
+    
+    // The signing secret is only ever returned here
+    res.status(StatusCodes.CREATED).json({
+      success: true,
+      data: {
+        ...webhook.toJSON(),
+        secret: webhook.secret
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update a webhook subscription
+// @route   PUT /api/webhooks/:id
+// @access  Private/Admin
+exports.updateWebhook = async (req, res, next) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const webhook = await findWebhook(req.params.id);
+    
+    webhook.url = url;
+    webhook.events = events;
+    if (description !== undefined) webhook.description = description;
+    if (active !== undefined) webhook.active = active;
+    await webhook.save();
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a webhook subscription
+// @route   DELETE /api/webhooks/:id
+// @access  Private/Admin
+exports.deleteWebhook = async (req, res, next) => {
+  try {
+    const webhook = await findWebhook(req.params.id);
+    await webhook.deleteOne();
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get the delivery log for a webhook
+// @route   GET /api/webhooks/:id/deliveries
+// @access  Private/Admin
+exports.getDeliveries = async (req, res, next) => {
+  try {
+    const { status, event } = req.query;
+    const limit = parseLimit(req.query.limit === undefined ? 20 : req.query.limit);
+    const page = parsePage(req.query.page);
+    const query = { webhook: req.params.id };
+    const errors = [];
+    
+    if (status !== undefined) {
+      if (!WebhookDelivery.STATUSES.includes(status)) {
+        errors.push({ parameter: 'status', message: `status must be one of: ${WebhookDelivery.STATUSES.join(', ')}` });
+      } else {
+        query.status = status;
+      }
+    }
+    if (event !== undefined) {
+      if (!Webhook.EVENTS.includes(event)) {
+        errors.push({ parameter: 'event', message: `event must be one of: ${Webhook.EVENTS.join(', ')}` });
+      } else {
+        query.event = event;
+      }
+    }
+    if (errors.length) throw invalidQuery(errors);
+    
+    const total = await WebhookDelivery.countDocuments(query);
+    const deliveries = await WebhookDelivery.find(query)
+      .sort('-createdAt')
+      .skip((page - 1) * limit)
+      .limit(limit);
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      count: deliveries.length,
+      total,
+      page,
+      totalPages: Math.ceil(total / limit),
+      data: deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Send a delivery again, e.g. after it failed permanently
+// @route   POST /api/webhooks/:id/deliveries/:deliveryId/redeliver
+// @access  Private/Admin
+exports.redeliver = async (req, res, next) => {
+  try {
+    const filter = { _id: req.params.deliveryId, webhook: req.params.id };
+    const delivery = await webhookService.redeliver(filter);
+    
+    if (!delivery) {
+      const exists = await WebhookDelivery.exists(filter);
+      throw exists
+        ? new ApiError(StatusCodes.CONFLICT, 'Delivery is already being attempted or scheduled for a retry')
+        : new ApiError(StatusCodes.NOT_FOUND, `Delivery not found with id of ${req.params.deliveryId}`);
+    }
+    
+    res.status(StatusCodes.OK).json({
+      success: true,
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+};
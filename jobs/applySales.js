@@ -0,0 +1,20 @@
+const { applyDueSales } = require('../services/pricingService');
+const logger = require('../utils/logger');
+
+const RUN_INTERVAL_MS = 60 * 1000;
+
+// Start and end scheduled sales every minute. Returns the timer.
+const scheduleSales = () => {
+  const run = () => applyDueSales()
+    .then(count => {
+      if (count) logger.info('Repriced products for scheduled sales', { count });
+    })
+    .catch(err => logger.error('Scheduled sales failed', { err }));
+  
+  const timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = { scheduleSales };
@@ -0,0 +1,26 @@
+const { deliverDue } = require('../services/webhookService');
+const logger = require('../utils/logger');
+
+const RUN_INTERVAL_MS = 15 * 1000;
+
+// Retry pending webhook deliveries whose backoff has elapsed. Returns the timer.
+const scheduleWebhookRetries = () => {
+  let running = false;
+  
+  const run = () => {
+    // Skip a tick rather than overlap with a slow batch
+    if (running) return;
+    running = true;
+    deliverDue()
+      .catch(err => logger.error('Webhook retry run failed', { err }))
+      .finally(() => {
+        running = false;
+      });
+  };
+  
+  const timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { scheduleWebhookRetries };
@@ -0,0 +1,39 @@
+const Reservation = require('../models/Reservation');
+const { releaseReservation } = require('../services/inventoryService');
+const logger = require('../utils/logger');
+
+const RUN_INTERVAL_MS = 60 * 1000;
+
+// Return stock held by reservations whose time is up
+const expireReservations = async () => {
+  const expired = await Reservation.find({ status: 'active', expiresAt: { $lte: new Date() } }).select('_id');
+  let count = 0;
+  
+  for (const { _id } of expired) {
+    try {
+      await releaseReservation(_id, 'expired');
+      count++;
+    } catch (error) {
+      // Committed or released by a request in the meantime
+      if (error.statusCode !== 409) throw error;
+    }
+  }
+  
+  return count;
+};
+
+// Check for expired reservations every minute. Returns the timer.
+const scheduleReservationExpiry = () => {
+  const run = () => expireReservations()
+    .then(count => {
+      if (count) logger.info('Expired stock reservations', { count });
+    })
+    .catch(err => logger.error('Reservation expiry failed', { err }));
+  
+  const timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = { expireReservations, scheduleReservationExpiry };
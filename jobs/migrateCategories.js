@@ -0,0 +1,33 @@
+const Category = require('../models/Category');
+const Product = require('../models/Product');
+
+// The categories that used to be a hard-coded enum on Product
+const DEFAULT_CATEGORIES = ['electronics', 'clothing', 'home', 'kitchen', 'sports', 'other'];
+
+const toName = (slug) => slug.charAt(0).toUpperCase() + slug.slice(1);
+
+// Seed the former enum values on a fresh database and point products that still
+// store their category as a string at the matching Category document. Safe to run
+// on every start; it does nothing once there is nothing left to convert.
+const migrateCategories = async () => {
+  if (!(await Category.estimatedDocumentCount())) {
+    await Category.insertMany(DEFAULT_CATEGORIES.map(slug => ({ name: toName(slug), slug })));
+  }
+  
+  // Raw collection access: the schema would cast (and the soft-delete hook would filter) these
+  const slugs = await Product.collection.distinct('category', { category: { $type: 'string' } });
+  
+  for (const value of slugs) {
+    const slug = value.toLowerCase();
+    const category = await Category.findOneAndUpdate(
+      { slug },
+      { $setOnInsert: { name: toName(slug), slug, ancestors: [] } },
+      { upsert: true, new: true }
+    );
+    await Product.collection.updateMany({ category: value }, { $set: { category: category._id } });
+  }
+  
+  return slugs.length;
+};
+
+module.exports = { DEFAULT_CATEGORIES, migrateCategories };
@@ -0,0 +1,25 @@
+const Product = require('../models/Product');
+
+// Give products created before SKUs and slugs existed a placeholder SKU made from their id
+// (P-<id>, to be replaced with a real one) and a slug from their name. Safe to run on every
+// start; it does nothing once every product has both.
+const migrateIdentifiers = async () => {
+  // Raw collection access so soft-deleted products are included
+  const { modifiedCount } = await Product.collection.updateMany(
+    { sku: { $exists: false } },
+    [{ $set: { sku: { $concat: ['P-', { $toString: '$_id' }] } } }]
+  );
+  
+  const products = await Product.find({ slug: { $exists: false } })
+    .setOptions({ withDeleted: true })
+    .select('name');
+  // One at a time, so each slug is taken before the next is chosen
+  for (const product of products) {
+    await Product.assignSlugs([product]);
+    await Product.collection.updateOne({ _id: product._id }, { $set: { slug: product.slug } });
+  }
+  
+  return modifiedCount + products.length;
+};
+
+module.exports = { migrateIdentifiers };
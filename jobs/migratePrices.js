@@ -0,0 +1,43 @@
+const Product = require('../models/Product');
+const { BASE_CURRENCY, minorDigits } = require('../utils/money');
+
+// Aggregation expression turning a bare decimal price into { amount, currency }
+const toMoney = (field) => ({
+  amount: { $round: [{ $multiply: [field, 10 ** minorDigits(BASE_CURRENCY)] }, 0] },
+  currency: BASE_CURRENCY
+});
+
+// Convert products whose price (or variant prices) are still bare numbers in major
+// units into money in BASE_CURRENCY. Safe to run on every start.
+const migratePrices = async () => {
+  // Raw collection access so soft-deleted products are converted too
+  const { modifiedCount: products } = await Product.collection.updateMany(
+    { price: { $type: 'number' } },
+    [{ $set: { price: toMoney('$price') } }]
+  );
+  
+  const { modifiedCount: variants } = await Product.collection.updateMany(
+    { 'variants.price': { $type: 'number' } },
+    [{
+      $set: {
+        variants: {
+          $map: {
+            input: '$variants',
+            as: 'variant',
+            in: {
+              $cond: [
+                { $isNumber: '$$variant.price' },
+                { $mergeObjects: ['$$variant', { price: toMoney('$$variant.price') }] },
+                '$$variant'
+              ]
+            }
+          }
+        }
+      }
+    }]
+  );
+  
+  return products + variants;
+};
+
+module.exports = { migratePrices };
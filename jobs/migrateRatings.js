@@ -0,0 +1,14 @@
+const Product = require('../models/Product');
+
+// Give products created before reviews existed an explicit zero rating, so rating
+// filters, sorts and cursors treat them like any other unrated product. Safe to run on every start.
+const migrateRatings = async () => {
+  // Raw collection access so soft-deleted products are included
+  const { modifiedCount } = await Product.collection.updateMany(
+    { rating: { $exists: false } },
+    { $set: { rating: 0, reviewCount: 0 } }
+  );
+  return modifiedCount;
+};
+
+module.exports = { migrateRatings };
@@ -0,0 +1,45 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const Review = require('../models/Review');
+const { removeImageFiles } = require('../services/imageService');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+const SYSTEM_ACTOR = { id: 'system', name: 'trash-retention', type: 'system' };
+
+// Permanently remove products, with their reviews and image files, that have been in the trash
+// longer than the retention period
+const purgeExpiredTrash = async (retentionDays) => {
+  const cutoff = new Date(Date.now() - retentionDays * DAY_MS);
+  const expired = await Product.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  
+  for (const product of expired) {
+    const before = ProductHistory.toSnapshot(product);
+    await product.deleteOne();
+    await ProductHistory.record({ product, action: 'purge', user: SYSTEM_ACTOR, before });
+    await Review.deleteMany({ product: product._id });
+    await removeImageFiles(product.images);
+  }
+  
+  return expired.length;
+};
+
+// Run the purge hourly when TRASH_RETENTION_DAYS is set. Returns the timer, or null if disabled.
+const scheduleTrashPurge = () => {
+  const retentionDays = Number(process.env.TRASH_RETENTION_DAYS);
+  if (!retentionDays || retentionDays <= 0) return null;
+  
+  const run = () => purgeExpiredTrash(retentionDays)
+    .then(count => {
+      if (count) logger.info('Purged products from the trash', { count });
+    })
+    .catch(err => logger.error('Trash purge failed', { err }));
+  
+  const timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = { purgeExpiredTrash, scheduleTrashPurge };
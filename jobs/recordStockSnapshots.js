@@ -0,0 +1,51 @@
+const Product = require('../models/Product');
+const StockSnapshot = require('../models/StockSnapshot');
+const { startOfPeriod } = require('../services/analyticsService');
+const logger = require('../utils/logger');
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+// Record today's product and out-of-stock counts per category, replacing the previous sample
+// of the day. Categories sampled earlier today that have no products left are zeroed. Resolves
+// to the number of categories recorded.
+const recordStockSnapshots = async (now = new Date()) => {
+  const day = startOfPeriod(now, 'day');
+  const counts = await Product.aggregate([
+    {
+      $group: {
+        _id: '$category',
+        products: { $sum: 1 },
+        outOfStock: { $sum: { $cond: ['$inStock', 0, 1] } }
+      }
+    }
+  ]);
+  
+  if (counts.length) {
+    await StockSnapshot.bulkWrite(counts.map(({ _id, products, outOfStock }) => ({
+      updateOne: {
+        filter: { day, category: _id },
+        update: { $set: { products, outOfStock } },
+        upsert: true
+      }
+    })));
+  }
+  await StockSnapshot.updateMany(
+    { day, category: { $nin: counts.map(({ _id }) => _id) } },
+    { $set: { products: 0, outOfStock: 0 } }
+  );
+  
+  return counts.length;
+};
+
+// Sample stock levels hourly, so each day ends up with its last state. Returns the timer.
+const scheduleStockSnapshots = () => {
+  const run = () => recordStockSnapshots()
+    .catch(err => logger.error('Stock snapshot failed', { err }));
+  
+  const timer = setInterval(run, RUN_INTERVAL_MS);
+  timer.unref();
+  run();
+  return timer;
+};
+
+module.exports = { recordStockSnapshots, scheduleStockSnapshots };
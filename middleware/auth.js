@@ -1,18 +1,67 @@
 const { StatusCodes } = require('http-status-codes');
 const ApiError = require('../utils/ApiError');
+const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken } = require('../utils/tokens');
+const { checkAuthFailures, recordAuthFailure } = require('./rateLimit');
 
-const authenticate = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.apiKey;
-  
-  if (!apiKey) {
-    throw new ApiError(StatusCodes.UNAUTHORIZED, 'API key is required');
+// Resolve the caller from a Bearer JWT or, for service accounts, an x-api-key header.
+// Sets req.user to { id, name, role, type } where type is 'user' or 'apiKey'.
+const authenticate = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization || '';
+    const apiKey = req.headers['x-api-key'];
+    
+    if (authHeader.startsWith('Bearer ')) {
+      let payload;
+      try {
+        payload = verifyAccessToken(authHeader.slice(7));
+      } catch (error) {
+        throw new ApiError(StatusCodes.UNAUTHORIZED, 'Invalid or expired access token');
+      }
+      
+      const user = await User.findById(payload.sub);
+      if (!user) {
+        throw new ApiError(StatusCodes.UNAUTHORIZED, 'User no longer exists');
+      }
+      
+      req.user = { id: user.id, name: user.name, role: user.role, type: 'user' };
+      return next();
+    }
+    
+    if (apiKey) {
+      // Keys are guessable only by brute force, so callers that keep failing are cut off
+      await checkAuthFailures(req, res);
+      
+      const key = await ApiKey.findOneAndUpdate(
+        { keyHash: ApiKey.hashKey(apiKey), revokedAt: null },
+        { lastUsedAt: new Date() },
+        { new: true }
+      );
+      if (!key) {
+        await recordAuthFailure(req);
+        throw new ApiError(StatusCodes.UNAUTHORIZED, 'Invalid or revoked API key');
+      }
+      
+      req.user = { id: key.id, name: key.name, role: key.role, type: 'apiKey' };
+      return next();
+    }
+    
+    throw new ApiError(StatusCodes.UNAUTHORIZED, 'Authentication required');
+  } catch (error) {
+    next(error);
   }
+};
 
-  if (apiKey !== process.env.API_KEY) {
-    throw new ApiError(StatusCodes.FORBIDDEN, 'Invalid API key');
+// Restrict a route to the given roles. Must run after authenticate.
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    throw new ApiError(
+      StatusCodes.FORBIDDEN,
+      `Role '${req.user ? req.user.role : 'anonymous'}' is not allowed to perform this action`
+    );
   }
-
   next();
 };
 
-module.exports = authenticate;
+module.exports = { authenticate, authorize };
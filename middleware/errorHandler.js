@@ -1,21 +1,106 @@
-const errorHandler = (err, req, res, next) => {
-  let statusCode = res.statusCode === 200 ? 500 : res.statusCode;
-  let message = err.message;
+const { StatusCodes, getReasonPhrase } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const logger = require('../utils/logger');
+
+// The fields and values behind a duplicate-key error. The driver reports them in keyValue;
+// write errors from insertMany may only name them in the message.
+const duplicateKeyFields = (err) => {
+  if (err.keyValue) return Object.entries(err.keyValue);
+  
+  const match = /dup key: \{ ([\w.]+): (.*) \}/.exec(err.errmsg || err.message || '');
+  return match ? [[match[1], match[2].replace(/^"|"$/g, '')]] : [];
+};
 
+const duplicateKeyErrors = (err) => duplicateKeyFields(err)
+  .map(([field, value]) => ({ field, message: `'${value}' is already in use` }));
+
+// Translate errors thrown by Mongoose, body parsing and the like into ApiErrors with the
+// right status. Anything unrecognized is a 500.
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+  
+  if (err.name === 'ValidationError' && err.errors) {
+    return new ApiError(StatusCodes.BAD_REQUEST, 'Validation failed', {
+      code: 'VALIDATION_FAILED',
+      // Keyed by full path (e.g. price.amount); each error's own path is relative to its subdocument
+      errors: Object.entries(err.errors).map(([field, { message }]) => ({ field, message }))
+    });
+  }
+  
   if (err.name === 'CastError') {
-    message = `Resource not found with ID: ${err.value}`;
-    statusCode = 404;
+    return new ApiError(StatusCodes.BAD_REQUEST, `'${err.value}' is not a valid ${err.kind} for ${err.path}`, {
+      code: err.kind === 'ObjectId' ? 'INVALID_ID' : 'INVALID_VALUE',
+      errors: [{ field: err.path, message: `Must be a valid ${err.kind}` }]
+    });
+  }
+  
+  // Also when wrapped, e.g. by a transaction or a bulk write (whose first failed write says more)
+  const [writeError] = err.writeErrors || [];
+  const duplicate = [writeError && (writeError.err || writeError), err.cause, err]
+    .find(error => error && error.code === 11000);
+  if (duplicate) {
+    const errors = duplicateKeyErrors(duplicate);
+    return new ApiError(StatusCodes.CONFLICT, 'A resource with the same unique value already exists', {
+      code: 'DUPLICATE_RESOURCE',
+      ...(errors.length && { errors })
+    });
   }
+  
+  if (err.name === 'VersionError') {
+    return new ApiError(StatusCodes.PRECONDITION_FAILED, 'Resource was modified concurrently; reload it and try again', {
+      code: 'CONCURRENT_MODIFICATION'
+    });
+  }
+  
+  // Errors from the body parsers carry their own 4xx status
+  if (err.type === 'entity.parse.failed') {
+    return new ApiError(StatusCodes.BAD_REQUEST, 'Request body is not valid JSON', { code: 'MALFORMED_BODY' });
+  }
+  const status = err.statusCode || err.status;
+  if (status >= 400 && status < 500) {
+    return new ApiError(status, err.message);
+  }
+  
+  // Unexpected errors keep their message for logs and development, but it isn't shown to clients
+  return new ApiError(StatusCodes.INTERNAL_SERVER_ERROR, err.message, {
+    code: 'INTERNAL_ERROR',
+    isOperational: false
+  }, err.stack);
+};
 
-  if (err.name === 'ValidationError') {
-    message = Object.values(err.errors).map(val => val.message).join(', ');
-    statusCode = 400;
+// Render every error as an RFC 7807 problem document:
+// { type, title, status, detail, instance, code, requestId, errors? }
+const errorHandler = (err, req, res, next) => {
+  // Too late for a problem document once a streamed response has started; let Express abort it
+  if (res.headersSent) return next(err);
+  
+  const error = toApiError(err);
+  
+  if (!error.isOperational || error.statusCode >= 500) {
+    logger.error('Request failed', { status: error.statusCode, code: error.code, err });
   }
+  
+  const showDetail = error.isOperational || process.env.NODE_ENV === 'development';
+  
+  res
+    .status(error.statusCode)
+    .type('application/problem+json')
+    .json({
+      type: 'about:blank',
+      title: getReasonPhrase(error.statusCode),
+      status: error.statusCode,
+      detail: showDetail ? error.message : 'An unexpected error occurred',
+      instance: req.originalUrl,
+      code: error.code,
+      requestId: req.id,
+      ...(error.errors && { errors: error.errors }),
+      ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+    });
+};
 
-  res.status(statusCode).json({
-    message,
-    stack: process.env.NODE_ENV === 'production' ? null : err.stack,
-  });
+// Catch-all for requests no route matched
+const notFound = (req, res, next) => {
+  next(new ApiError(StatusCodes.NOT_FOUND, `Cannot ${req.method} ${req.originalUrl}`, { code: 'ROUTE_NOT_FOUND' }));
 };
 
-module.exports = errorHandler;
\ No newline at end of file
+module.exports = { errorHandler, notFound, toApiError, duplicateKeyErrors };
@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const IdempotencyKey = require('../models/IdempotencyKey');
+const logger = require('../utils/logger');
+
+// How long a key is remembered, and how long a request holding a key may run before a retry
+// is allowed to run it again (in case the instance handling it died)
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+const LOCK_MS = 5 * 60 * 1000;
+
+// Keys are opaque to the server; UUIDs are typical
+const VALID_KEY = /^[\x21-\x7e]{1,255}$/;
+
+// Response headers replayed along with the status and body
+const REPLAYED_HEADERS = ['content-type', 'etag', 'link'];
+
+// What makes two requests "the same": method, URL (with query) and body, including uploaded files
+const fingerprintRequest = (req) => {
+  const body = typeof req.body === 'string' || Buffer.isBuffer(req.body)
+    ? req.body
+    : JSON.stringify(req.body === undefined ? null : req.body);
+  const hash = crypto.createHash('sha256').update(`${req.method} ${req.originalUrl}\n`).update(body);
+  (req.files || []).forEach(file => {
+    hash.update(`\n${file.fieldname}:${file.originalname}:`).update(file.buffer || '');
+  });
+  return hash.digest('hex');
+};
+
+// Claim the key for this request. Resolves to null if the request should run, or to the stored
+// record if the key was used before. Concurrent duplicates race on the unique _id, so exactly
+// one of them runs.
+const claimKey = async (id, fingerprint) => {
+  const now = Date.now();
+  try {
+    await IdempotencyKey.create({
+      _id: id,
+      fingerprint,
+      lockedUntil: new Date(now + LOCK_MS),
+      expiresAt: new Date(now + TTL_MS)
+    });
+    return null;
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  
+  const existing = await IdempotencyKey.findById(id);
+  // Expired between the two queries
+  if (!existing) return claimKey(id, fingerprint);
+  if (existing.fingerprint !== fingerprint || existing.status === 'completed' || existing.lockedUntil > now) {
+    return existing;
+  }
+  
+  // The request that claimed the key never finished; take it over unless another retry just did
+  const takenOver = await IdempotencyKey.findOneAndUpdate(
+    { _id: id, status: 'processing', lockedUntil: existing.lockedUntil },
+    { $set: { lockedUntil: new Date(now + LOCK_MS) } }
+  );
+  return takenOver ? null : claimKey(id, fingerprint);
+};
+
+// Store the response once it is sent; server errors release the key so the request can be retried
+const saveResponse = async (id, fingerprint, res, body) => {
+  if (res.statusCode >= 500) {
+    await IdempotencyKey.deleteOne({ _id: id, fingerprint });
+    return;
+  }
+  
+  const headers = {};
+  REPLAYED_HEADERS.forEach(name => {
+    const value = res.getHeader(name);
+    if (value !== undefined) headers[name] = String(value);
+  });
+  await IdempotencyKey.updateOne({ _id: id, fingerprint }, {
+    $set: {
+      status: 'completed',
+      response: { statusCode: res.statusCode, headers, body: body === undefined ? undefined : String(body) },
+      expiresAt: new Date(Date.now() + TTL_MS)
+    },
+    $unset: { lockedUntil: 1 }
+  });
+};
+
+// Make a mutating request safe to retry with an Idempotency-Key header. The first request with
+// a key runs and its response (status, body and the headers above) is stored for
+// IDEMPOTENCY_TTL_HOURS; a retry with the same key and body gets that response again, marked
+// with Idempotent-Replayed: true. Reusing a key for a different request, or retrying while the
+// first is still running, is a 409. Keys are per caller, so this goes after authenticate and
+// after any body parser. Requests without the header are unaffected.
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  
+  try {
+    if (!VALID_KEY.test(key)) {
+      throw new ApiError(StatusCodes.BAD_REQUEST, 'Idempotency-Key must be 1-255 printable ASCII characters', {
+        code: 'VALIDATION_FAILED',
+        errors: [{ field: 'Idempotency-Key', location: 'headers', message: 'Invalid idempotency key' }]
+      });
+    }
+    
+    const id = `${req.user.type}:${req.user.id}:${key}`;
+    const fingerprint = fingerprintRequest(req);
+    const existing = await claimKey(id, fingerprint);
+    
+    if (existing && existing.fingerprint !== fingerprint) {
+      throw new ApiError(StatusCodes.CONFLICT, 'This Idempotency-Key was already used for a different request', {
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+    if (existing && existing.status !== 'completed') {
+      res.set('Retry-After', '1');
+      throw new ApiError(StatusCodes.CONFLICT, 'A request with this Idempotency-Key is still being processed', {
+        code: 'IDEMPOTENCY_KEY_IN_USE'
+      });
+    }
+    if (existing) {
+      const { statusCode, headers, body } = existing.response;
+      res.set(Object.fromEntries(headers || []));
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(statusCode).end(body);
+    }
+    
+    // Capture the response at res.end, which also runs when the client has given up waiting;
+    // that is the case retries are for
+    const end = res.end;
+    res.end = function (chunk, ...args) {
+      res.end = end;
+      saveResponse(id, fingerprint, res, typeof chunk === 'function' ? undefined : chunk)
+        .catch(err => logger.error('Failed to store idempotent response', { err, idempotencyKey: key }));
+      return end.call(this, chunk, ...args);
+    };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
@@ -0,0 +1,20 @@
+const { recordHttpRequest } = require('../services/metrics');
+
+// Count and time every request by method, route pattern and status. Must run after
+// requestLogger, which records the route pattern in res.locals.routePattern.
+const httpMetrics = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  
+  res.on('finish', () => {
+    recordHttpRequest({
+      method: req.method,
+      route: res.locals.routePattern,
+      status: res.statusCode,
+      seconds: Number(process.hrtime.bigint() - started) / 1e9
+    });
+  });
+  
+  next();
+};
+
+module.exports = httpMetrics;
@@ -0,0 +1,103 @@
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const ApiKey = require('../models/ApiKey');
+const { verifyAccessToken } = require('../utils/tokens');
+const { getRateLimitStore } = require('../services/rateLimit');
+const { windowMs, limits, authFailures } = require('../config/rateLimit');
+const logger = require('../utils/logger');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const secondsUntil = (date) => Math.max(0, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+const tooManyRequests = (res, resetAt, message) => {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return new ApiError(StatusCodes.TOO_MANY_REQUESTS, message);
+};
+
+// Work out who is calling without fully authenticating. Only a valid access token or a live
+// API key earns its own budget; anything else is counted against the caller's IP, so made-up
+// credentials can't be used to get a fresh budget on every request.
+const identifyClient = async (req) => {
+  const authHeader = req.headers.authorization || '';
+  const apiKey = req.headers['x-api-key'];
+  
+  if (authHeader.startsWith('Bearer ')) {
+    try {
+      return { type: 'user', id: verifyAccessToken(authHeader.slice(7)).sub };
+    } catch (error) {
+      // Invalid token: fall through
+    }
+  } else if (apiKey) {
+    const keyHash = ApiKey.hashKey(apiKey);
+    if (await ApiKey.exists({ keyHash, revokedAt: null })) {
+      return { type: 'apiKey', id: keyHash };
+    }
+  }
+  
+  return { type: 'ip', id: req.ip };
+};
+
+// Throttle requests per client, with separate read and write budgets. Every limited response
+// carries RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset (seconds) and RateLimit-Policy;
+// a request over the limit gets 429 with Retry-After. If the store is unavailable, requests
+// are let through rather than failing the API.
+const rateLimit = async (req, res, next) => {
+  try {
+    const client = await identifyClient(req);
+    const budget = READ_METHODS.includes(req.method) ? 'read' : 'write';
+    const limit = limits[client.type][budget];
+    if (!limit) return next();
+    
+    const { count, resetAt } = await getRateLimitStore()
+      .increment(`${budget}:${client.type}:${client.id}`, windowMs);
+    
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(Math.max(0, limit - count)),
+      'RateLimit-Reset': String(secondsUntil(resetAt)),
+      'RateLimit-Policy': `${limit};w=${windowMs / 1000}`
+    });
+    
+    if (count > limit) {
+      return next(tooManyRequests(res, resetAt, `Rate limit of ${limit} ${budget} requests per ${windowMs / 1000}s exceeded`));
+    }
+    next();
+  } catch (error) {
+    logger.warn('Rate limiting skipped', { err: error });
+    next();
+  }
+};
+
+const authFailureKey = (req) => `auth-failures:${req.ip}`;
+
+// Refuse to check credentials from an IP with too many recent failures, i.e. one that is
+// guessing passwords or API keys. Throws a 429 ApiError.
+const checkAuthFailures = async (req, res) => {
+  if (!authFailures.max) return;
+  
+  let failures;
+  try {
+    failures = await getRateLimitStore().get(authFailureKey(req), authFailures.windowMs);
+  } catch (error) {
+    logger.warn('Authentication throttling skipped', { err: error });
+    return;
+  }
+  
+  if (failures && failures.count >= authFailures.max) {
+    throw tooManyRequests(res, failures.resetAt, 'Too many failed authentication attempts; try again later');
+  }
+};
+
+// Count a failed login or a rejected API key against the caller's IP
+const recordAuthFailure = async (req) => {
+  if (!authFailures.max) return;
+  
+  try {
+    await getRateLimitStore().increment(authFailureKey(req), authFailures.windowMs);
+  } catch (error) {
+    logger.warn('Failed to record authentication failure', { err: error });
+  }
+};
+
+module.exports = { rateLimit, checkAuthFailures, recordAuthFailure };
@@ -0,0 +1,14 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Accept a caller's X-Request-Id if it looks like an identifier, so a request can be traced
+// across services; otherwise generate one. Exposed as req.id and echoed in the response.
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
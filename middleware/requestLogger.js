@@ -0,0 +1,49 @@
+const logger = require('../utils/logger');
+
+// Polled every few seconds by load balancers and Prometheus; successful calls are only
+// logged at debug level so they don't drown out real traffic
+const PROBE_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+// Log one structured entry per request once the response is sent, and make the request ID
+// part of every entry logged while the request is handled. Must run after requestId.
+const requestLogger = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  
+  // Express resets req.baseUrl when an error leaves a router, so remember the full route
+  // pattern (e.g. /api/products/:id) in res.locals.routePattern at the moment it matches.
+  // The HTTP metrics label requests with it too.
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set(value) {
+      route = value;
+      if (value) res.locals.routePattern = `${req.baseUrl}${value.path}`;
+    }
+  });
+  
+  res.on('finish', () => {
+    let level = 'info';
+    if (res.statusCode >= 500) level = 'error';
+    else if (res.statusCode >= 400) level = 'warn';
+    else if (PROBE_PATHS.includes(req.path)) level = 'debug';
+    
+    logger[level]('request completed', {
+      requestId: req.id,
+      method: req.method,
+      route: res.locals.routePattern,
+      path: req.originalUrl,
+      status: res.statusCode,
+      latencyMs: Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+      caller: req.user ? { type: req.user.type, id: req.user.id, role: req.user.role } : undefined,
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      ...(logger.isLevelEnabled('debug') && { headers: req.headers })
+    });
+  });
+  
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = requestLogger;
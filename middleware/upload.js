@@ -0,0 +1,37 @@
+const multer = require('multer');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { IMAGE_TYPES, MAX_IMAGE_BYTES, MAX_FILES_PER_UPLOAD } = require('../services/imageService');
+
+const imageUpload = multer({
+  // Files are checked and thumbnailed before anything is written, so keep them in memory
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_BYTES, files: MAX_FILES_PER_UPLOAD },
+  fileFilter: (req, file, cb) => {
+    if (IMAGE_TYPES[file.mimetype]) return cb(null, true);
+    cb(new ApiError(
+      StatusCodes.UNSUPPORTED_MEDIA_TYPE,
+      `${file.originalname} is ${file.mimetype}; upload one of: ${Object.keys(IMAGE_TYPES).join(', ')}`
+    ));
+  }
+}).array('images', MAX_FILES_PER_UPLOAD);
+
+const uploadErrorMessages = {
+  LIMIT_FILE_SIZE: `Images cannot be larger than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB`,
+  LIMIT_FILE_COUNT: `At most ${MAX_FILES_PER_UPLOAD} images can be uploaded at once`,
+  LIMIT_UNEXPECTED_FILE: `Send files in the 'images' field, at most ${MAX_FILES_PER_UPLOAD} per request`
+};
+
+// Parse a multipart/form-data body with image files in the `images` field into req.files.
+// multer's errors become 400s, or 413 for an oversized file.
+const parseImageUpload = (req, res, next) => imageUpload(req, res, (error) => {
+  if (error instanceof multer.MulterError) {
+    return next(new ApiError(
+      error.code === 'LIMIT_FILE_SIZE' ? StatusCodes.REQUEST_TOO_LONG : StatusCodes.BAD_REQUEST,
+      uploadErrorMessages[error.code] || error.message
+    ));
+  }
+  next(error);
+});
+
+module.exports = { parseImageUpload };
@@ -0,0 +1,276 @@
+const { body, validationResult } = require('express-validator');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const User = require('../models/User');
+const StockMovement = require('../models/StockMovement');
+const Webhook = require('../models/Webhook');
+const Review = require('../models/Review');
+const { isCurrency } = require('../utils/money');
+const { isValidGtin } = require('../utils/gtin');
+const { hasPublicHost } = require('../utils/network');
+
+// Fail with 400 if any of the preceding validators failed, listing each offending field
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return next(new ApiError(StatusCodes.BAD_REQUEST, 'Validation failed', {
+      code: 'VALIDATION_FAILED',
+      errors: errors.array().map(({ path, location, msg }) => ({ field: path, location, message: msg }))
+    }));
+  }
+  next();
+};
+
+// Money is { amount, currency } with the amount in integer minor units
+const moneyFields = (field, { currencyRequired = false } = {}) => [
+  body(`${field}.amount`).isInt({ min: 0 }).withMessage('Amount must be a non-negative integer in minor units (e.g. cents)'),
+  body(`${field}.currency`)
+    .if((value) => currencyRequired || value !== undefined)
+    .custom(isCurrency).withMessage('Currency must be an uppercase ISO 4217 code')
+];
+
+// The fields of a product as sent on create and full replacement
+const productFields = [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('sku')
+    .isString().withMessage('SKU is required').bail()
+    .trim().notEmpty().withMessage('SKU is required')
+    .isLength({ max: 64 }).withMessage('SKU cannot be more than 64 characters'),
+  body('slug').optional()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slugs may only contain lowercase letters, digits and single hyphens'),
+  body('gtin').optional()
+    .custom(isValidGtin).withMessage('GTIN must be 8, 12, 13 or 14 digits ending in a valid check digit'),
+  body('description').notEmpty().withMessage('Description is required'),
+  body('price').isObject().withMessage('Price must be an object of amount (in minor units) and currency'),
+  ...moneyFields('price'),
+  body('priceList').optional().isArray().withMessage('priceList must be an array'),
+  ...moneyFields('priceList.*', { currencyRequired: true }),
+  body('category').notEmpty().withMessage('Category is required'),
+  body('inStock').optional().isBoolean().withMessage('inStock must be a boolean'),
+  body('lowStockThreshold').optional().isInt({ min: 0 }).withMessage('lowStockThreshold must be a non-negative integer'),
+  body('options').optional().isArray().withMessage('Options must be an array'),
+  body('options.*.name').isString().trim().notEmpty().withMessage('Each option needs a name'),
+  body('options.*.values').isArray({ min: 1 }).withMessage('Each option needs a non-empty array of values'),
+  body('options.*.values.*').isString().withMessage('Option values must be strings')
+];
+
+// Validation middleware
+const validateProduct = [
+  ...productFields,
+  handleValidationErrors
+];
+
+// Run the product field validators on a plain object, such as a product after a PATCH has been
+// applied, instead of the request body. Resolves to the errors in the shape of a 400 response.
+const checkProductFields = async (fields) => {
+  const req = { body: fields };
+  for (const validator of productFields) {
+    await validator.run(req);
+  }
+  return validationResult(req).array()
+    .map(({ path, msg }) => ({ field: path, location: 'body', message: msg }));
+};
+
+const validateVariant = [
+  body('sku').isString().trim().notEmpty().withMessage('SKU is required'),
+  body('options').optional().isObject().withMessage('Options must be an object of option name to value'),
+  body('options.*').isString().withMessage('Option values must be strings'),
+  body('price').optional({ values: 'null' }).isObject().withMessage('Price must be an object of amount and currency, or null'),
+  body('price.amount')
+    .if(body('price').isObject())
+    .isInt({ min: 0 }).withMessage('price.amount must be a non-negative integer in minor units (e.g. cents)'),
+  body('quantity').optional().isInt({ min: 0 }).withMessage('Quantity must be a non-negative integer'),
+  handleValidationErrors
+];
+
+const validateSale = [
+  body('name').optional().isString().withMessage('Name must be a string'),
+  body('price').isObject().withMessage('Price must be an object of amount (in minor units) and currency'),
+  ...moneyFields('price'),
+  body('startsAt').isISO8601().withMessage('startsAt must be an ISO 8601 date'),
+  body('endsAt')
+    .isISO8601().withMessage('endsAt must be an ISO 8601 date')
+    .custom((endsAt, { req }) => new Date(endsAt) > new Date(req.body.startsAt))
+    .withMessage('endsAt must be after startsAt'),
+  handleValidationErrors
+];
+
+// Text fields sent alongside the files of an image upload
+const validateImageUpload = [
+  body('alt').optional().isLength({ max: 250 }).withMessage('Alt text cannot be more than 250 characters'),
+  body('primary').optional().isIn(['true', 'false']).withMessage('primary must be true or false'),
+  handleValidationErrors
+];
+
+const validateImage = [
+  body('alt').optional().isString().isLength({ max: 250 }).withMessage('Alt text must be a string of at most 250 characters'),
+  body('primary').optional().isBoolean({ strict: true }).withMessage('primary must be a boolean'),
+  handleValidationErrors
+];
+
+const validateImageOrder = [
+  body('order').isArray().withMessage('order must be an array of image ids'),
+  body('order.*').isMongoId().withMessage('order must contain image ids'),
+  handleValidationErrors
+];
+
+const validateReview = [
+  body('rating').isInt({ min: 1, max: 5 }).withMessage('Rating must be a whole number from 1 to 5'),
+  body('title').optional().isString().isLength({ max: 100 }).withMessage('Title must be a string of at most 100 characters'),
+  body('body').isString().trim().notEmpty().withMessage('Review text is required')
+    .isLength({ max: 2000 }).withMessage('Review cannot be more than 2000 characters'),
+  handleValidationErrors
+];
+
+const validateReviewStatus = [
+  body('status').isIn(Review.STATUSES).withMessage(`Status must be one of: ${Review.STATUSES.join(', ')}`),
+  body('note').optional().isString().withMessage('Note must be a string'),
+  handleValidationErrors
+];
+
+const validateExchangeRate = [
+  body('rate').isFloat({ gt: 0 }).withMessage('Rate must be a positive number'),
+  handleValidationErrors
+];
+
+const validateCategory = [
+  body('name').isString().trim().notEmpty().withMessage('Name is required'),
+  body('slug')
+    .optional()
+    .matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/)
+    .withMessage('Slug may only contain lowercase letters, digits and hyphens'),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('parent')
+    .optional({ values: 'null' })
+    .isString().withMessage('Parent must be a category id or slug, or null for the top level'),
+  handleValidationErrors
+];
+
+const validateRegister = [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('email').isEmail().withMessage('A valid email is required'),
+  body('password').isLength({ min: 8 }).withMessage('Password must be at least 8 characters'),
+  handleValidationErrors
+];
+
+const validateLogin = [
+  body('email').isEmail().withMessage('A valid email is required'),
+  body('password').notEmpty().withMessage('Password is required'),
+  handleValidationErrors
+];
+
+const validateRole = [
+  body('role').isIn(User.ROLES).withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateApiKey = [
+  body('name').notEmpty().withMessage('Name is required'),
+  body('role').optional().isIn(User.ROLES).withMessage(`Role must be one of: ${User.ROLES.join(', ')}`),
+  handleValidationErrors
+];
+
+const validateStockMovement = [
+  body('type').isIn(StockMovement.TYPES).withMessage(`Type must be one of: ${StockMovement.TYPES.join(', ')}`),
+  body('quantity')
+    .if(body('type').equals('adjust'))
+    .isInt().withMessage('Quantity must be an integer')
+    .not().equals('0').withMessage('Adjustment cannot be zero'),
+  body('quantity')
+    .if(body('type').not().equals('adjust'))
+    .isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('warehouse').optional().isString().trim().notEmpty().withMessage('Warehouse cannot be empty'),
+  body('reason').optional().isString().withMessage('Reason must be a string'),
+  handleValidationErrors
+];
+
+const validateReservation = [
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be a positive integer'),
+  body('warehouse').optional().isString().trim().notEmpty().withMessage('Warehouse cannot be empty'),
+  body('reference').optional().isString().withMessage('Reference must be a string'),
+  body('ttlMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('ttlMinutes must be between 1 and 1440'),
+  handleValidationErrors
+];
+
+// Bulk requests pick products by `ids` or by a `filter` in the query syntax of GET /api/products
+const bulkSelection = [
+  body('ids')
+    .custom((ids, { req }) => (ids === undefined) !== (req.body.filter === undefined))
+    .withMessage('Give either ids or filter, not both'),
+  body('ids').optional().isArray({ min: 1 }).withMessage('ids must be a non-empty array of product ids'),
+  body('ids.*').isMongoId().withMessage('ids must contain product ids'),
+  body('filter')
+    .optional()
+    .custom(filter => filter !== null && typeof filter === 'object' && !Array.isArray(filter) && Object.keys(filter).length > 0)
+    .withMessage('filter must be an object with at least one condition'),
+  body('dryRun').optional().isBoolean({ strict: true }).withMessage('dryRun must be a boolean'),
+  body('atomic').optional().isBoolean({ strict: true }).withMessage('atomic must be a boolean')
+];
+
+const BULK_PATCH_FIELDS = ['price', 'inStock', 'lowStockThreshold', 'category'];
+
+const validateBulkUpdate = [
+  ...bulkSelection,
+  body('patch')
+    .custom(patch => patch !== null && typeof patch === 'object' && BULK_PATCH_FIELDS.some(field => patch[field] !== undefined))
+    .withMessage(`patch must set at least one of: ${BULK_PATCH_FIELDS.join(', ')}`),
+  body('patch.price')
+    .optional()
+    .custom(price => price !== null && typeof price === 'object' && (price.percent === undefined) !== (price.amount === undefined))
+    .withMessage('patch.price must be either { percent } or { amount, currency }'),
+  body('patch.price.percent').optional().isFloat({ gt: -100 }).withMessage('percent must be a number greater than -100'),
+  body('patch.price.amount')
+    .optional()
+    .isInt().withMessage('amount must be an integer number of minor units (e.g. cents)')
+    .not().equals('0').withMessage('amount cannot be zero'),
+  body('patch.price.currency').optional().custom(isCurrency).withMessage('Currency must be an uppercase ISO 4217 code'),
+  body('patch.inStock').optional().isBoolean({ strict: true }).withMessage('inStock must be a boolean'),
+  body('patch.lowStockThreshold').optional().isInt({ min: 0 }).withMessage('lowStockThreshold must be a non-negative integer'),
+  body('patch.category').optional().isString().trim().notEmpty().withMessage('category must be a category id or slug'),
+  handleValidationErrors
+];
+
+const validateBulkDelete = [
+  ...bulkSelection,
+  handleValidationErrors
+];
+
+const webhookEvents = [...Webhook.EVENTS, '*'];
+
+const validateWebhook = [
+  body('url')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an absolute http(s) URL')
+    .bail()
+    .custom(hasPublicHost)
+    .withMessage('URL must not point at a loopback, private or link-local address'),
+  body('events').isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+  body('events.*').isIn(webhookEvents).withMessage(`Events must be among: ${webhookEvents.join(', ')}`),
+  body('description').optional().isString().withMessage('Description must be a string'),
+  body('active').optional().isBoolean().withMessage('active must be a boolean'),
+  handleValidationErrors
+];
+
+module.exports = {
+  handleValidationErrors,
+  validateProduct,
+  checkProductFields,
+  validateVariant,
+  validateSale,
+  validateImageUpload,
+  validateImage,
+  validateImageOrder,
+  validateReview,
+  validateReviewStatus,
+  validateExchangeRate,
+  validateCategory,
+  validateRegister,
+  validateLogin,
+  validateRole,
+  validateApiKey,
+  validateStockMovement,
+  validateReservation,
+  validateWebhook,
+  validateBulkUpdate,
+  validateBulkDelete
+};
@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('./User');
+
+const KEY_PREFIX = 'pk_';
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a name for the API key'],
+      trim: true,
+      maxlength: [100, 'Name cannot be more than 100 characters']
+    },
+    // SHA-256 of the full key; the plaintext is only shown once at creation
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false
+    },
+    // First characters of the key, so admins can tell keys apart
+    prefix: {
+      type: String,
+      required: true
+    },
+    role: {
+      type: String,
+      enum: {
+        values: User.ROLES,
+        message: '{VALUE} is not a valid role'
+      },
+      default: 'viewer'
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    lastUsedAt: Date,
+    revokedAt: Date
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+apiKeySchema.virtual('active').get(function () {
+  return !this.revokedAt;
+});
+
+apiKeySchema.statics.hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Generate a new random key. Returns the plaintext along with the values to persist.
+apiKeySchema.statics.generateKey = function () {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  return { key, keyHash: this.hashKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+};
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
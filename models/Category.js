@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+const categorySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please provide a category name'],
+      trim: true,
+      maxlength: [50, 'Name cannot be more than 50 characters']
+    },
+    // Stable identifier used in URLs and filters; generated from the name if not given
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, digits and hyphens']
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters']
+    },
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      default: null,
+      index: true
+    },
+    // Materialized path: every ancestor's id, root first. Kept in sync by setParent.
+    ancestors: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Category' }],
+      index: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// 0 for top-level categories
+categorySchema.virtual('depth').get(function () {
+  return this.ancestors ? this.ancestors.length : undefined;
+});
+
+categorySchema.pre('validate', function () {
+  if (!this.slug && this.name) this.slug = slugify(this.name);
+});
+
+// True if `category` is this one or sits anywhere below it
+categorySchema.methods.isAncestorOf = function (category) {
+  return category._id.equals(this._id) || category.ancestors.some(id => id.equals(this._id));
+};
+
+// Move the category under `parent` (null for the top level). Descendants' paths
+// are rewritten when the category is saved.
+categorySchema.methods.setParent = function (parent) {
+  this.parent = parent ? parent._id : null;
+  this.ancestors = parent ? [...parent.ancestors, parent._id] : [];
+};
+
+categorySchema.pre('save', function () {
+  this.$locals.moved = !this.isNew && this.isModified('ancestors');
+});
+
+categorySchema.post('save', async function () {
+  if (!this.$locals.moved) return;
+  
+  const descendants = await this.constructor.find({ ancestors: this._id }).select('ancestors');
+  if (!descendants.length) return;
+  
+  await this.constructor.bulkWrite(descendants.map(descendant => {
+    const below = descendant.ancestors.slice(descendant.ancestors.findIndex(id => id.equals(this._id)) + 1);
+    return {
+      updateOne: {
+        filter: { _id: descendant._id },
+        update: { $set: { ancestors: [...this.ancestors, this._id, ...below] } }
+      }
+    };
+  }));
+});
+
+// Look a category up by id or slug
+categorySchema.statics.findByRef = function (ref) {
+  const value = String(ref).trim();
+  return mongoose.isObjectIdOrHexString(value)
+    ? this.findById(value)
+    : this.findOne({ slug: value.toLowerCase() });
+};
+
+// Resolve ids or slugs to the ids of those categories and all their descendants.
+// Resolves to { ids, missing }, where `missing` lists the refs that matched nothing.
+categorySchema.statics.subtreeIds = async function (refs) {
+  const categories = await Promise.all(refs.map(ref => this.findByRef(ref)));
+  const missing = refs.filter((ref, index) => !categories[index]);
+  const roots = categories.filter(Boolean).map(category => category._id);
+  
+  const descendants = roots.length
+    ? await this.find({ ancestors: { $in: roots } }).distinct('_id')
+    : [];
+  
+  return { ids: [...roots, ...descendants], missing };
+};
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, isCurrency } = require('../utils/money');
+
+// Locally maintained conversion rates, relative to BASE_CURRENCY
+const exchangeRateSchema = new mongoose.Schema(
+  {
+    currency: {
+      type: String,
+      required: true,
+      unique: true,
+      uppercase: true,
+      trim: true,
+      validate: [
+        code => isCurrency(code) && code !== BASE_CURRENCY,
+        `{VALUE} must be an ISO 4217 currency code other than the base currency (${BASE_CURRENCY})`
+      ]
+    },
+    // Units of `currency` per one unit of BASE_CURRENCY
+    rate: {
+      type: Number,
+      required: [true, 'Please provide a rate'],
+      validate: [rate => rate > 0, 'Rate must be positive']
+    },
+    updatedBy: {
+      id: String,
+      name: String,
+      type: { type: String }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Resolves to a { currency: rate } lookup for money.convert
+exchangeRateSchema.statics.getRates = async function () {
+  const rates = await this.find().select('currency rate');
+  return Object.fromEntries(rates.map(({ currency, rate }) => [currency, rate]));
+};
+
+module.exports = mongoose.model('ExchangeRate', exchangeRateSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// A client's Idempotency-Key and the outcome of the first request sent with it, so retries
+// can be answered without running the request again. _id is "<caller type>:<caller id>:<key>".
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    _id: String,
+    // Hash of the method, path and body the key was first used with
+    fingerprint: {
+      type: String,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['processing', 'completed'],
+      default: 'processing'
+    },
+    // While processing: when the request is presumed lost (e.g. the instance crashed), after
+    // which a retry may run it again
+    lockedUntil: Date,
+    response: {
+      statusCode: Number,
+      headers: {
+        type: Map,
+        of: String
+      },
+      body: String
+    },
+    // MongoDB deletes the key shortly afterwards
+    expiresAt: {
+      type: Date,
+      required: true,
+      expires: 0
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
@@ -1,4 +1,120 @@
 const mongoose = require('mongoose');
+const moneySchema = require('./moneySchema');
+const { getStorage } = require('../services/storage');
+const slugify = require('../utils/slugify');
+const { isValidGtin } = require('../utils/gtin');
+
+// Lowercase words joined by single hyphens, e.g. "desk-lamp-2"
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// One purchasable combination of option values, e.g. { size: 'M', color: 'red' }
+const variantSchema = new mongoose.Schema(
+  {
+    sku: {
+      type: String,
+      required: [true, 'Please provide a SKU'],
+      trim: true
+    },
+    options: {
+      type: Map,
+      of: String,
+      default: {}
+    },
+    // Overrides the product price when set; must be in the product's currency
+    price: moneySchema,
+    // Units on hand for this variant
+    quantity: {
+      type: Number,
+      default: 0,
+      min: [0, 'Quantity cannot be negative']
+    },
+    // Derived from quantity
+    inStock: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+variantSchema.virtual('effectivePrice').get(function () {
+  return this.price && this.price.amount !== undefined ? this.price : this.parent().price;
+});
+
+// A time-limited price. While it runs, `price` holds the sale price and `regularPrice`
+// the price to go back to; see applySales.
+const saleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Sale name cannot be more than 100 characters']
+  },
+  price: {
+    type: moneySchema,
+    required: [true, 'Please provide a sale price']
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Please provide a start date']
+  },
+  endsAt: {
+    type: Date,
+    required: [true, 'Please provide an end date']
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'ended', 'cancelled'],
+    default: 'scheduled'
+  }
+});
+
+// An uploaded picture. The files live in the storage backend; only their keys are stored here.
+const imageSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true
+    },
+    thumbnailKey: {
+      type: String,
+      required: true
+    },
+    // Name of the file as uploaded
+    filename: String,
+    contentType: String,
+    size: Number,
+    width: Number,
+    height: Number,
+    alt: {
+      type: String,
+      trim: true,
+      maxlength: [250, 'Alt text cannot be more than 250 characters']
+    },
+    // The image to show in listings; exactly one image of a product has it
+    primary: {
+      type: Boolean,
+      default: false
+    }
+  },
+  {
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+imageSchema.virtual('url').get(function () {
+  return this.key && getStorage().url(this.key);
+});
+
+imageSchema.virtual('thumbnailUrl').get(function () {
+  return this.thumbnailKey && getStorage().url(this.thumbnailKey);
+});
+
+// Sales that still hold or will take a slot in the product's timeline
+const isPending = (sale) => sale.status === 'scheduled' || sale.status === 'active';
 
 const productSchema = new mongoose.Schema(
   {
@@ -8,36 +124,396 @@ const productSchema = new mongoose.Schema(
       trim: true,
       maxlength: [100, 'Name cannot be more than 100 characters']
     },
+    // Stock-keeping unit, unique across the catalog
+    sku: {
+      type: String,
+      required: [true, 'Please provide a SKU'],
+      trim: true,
+      maxlength: [64, 'SKU cannot be more than 64 characters']
+    },
+    // URL identifier, generated from the name when the product is created and kept when it
+    // is renamed; see changeSlug
+    slug: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [SLUG_PATTERN, 'Slugs may only contain lowercase letters, digits and single hyphens']
+    },
+    // Slugs the product had before, which still lead to it
+    previousSlugs: [String],
+    // Barcode number (EAN-8, UPC-A, EAN-13 or GTIN-14)
+    gtin: {
+      type: String,
+      trim: true,
+      validate: [isValidGtin, 'GTIN must be 8, 12, 13 or 14 digits ending in a valid check digit']
+    },
     description: {
       type: String,
       required: [true, 'Please provide a product description'],
       trim: true,
       maxlength: [1000, 'Description cannot be more than 1000 characters']
     },
+    // Current selling price, in integer minor units (e.g. cents) of its currency
     price: {
-      type: Number,
-      required: [true, 'Please provide a price'],
-      min: [0, 'Price must be a positive number']
+      type: moneySchema,
+      required: [true, 'Please provide a price']
     },
+    // Set while a sale runs: the price to restore when it ends
+    regularPrice: moneySchema,
+    // Fixed prices in other currencies; currencies without one are converted from `price`
+    priceList: [moneySchema],
+    sales: [saleSchema],
     category: {
-      type: String,
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
       required: [true, 'Please provide a category'],
-      enum: {
-        values: ['electronics', 'clothing', 'home', 'kitchen', 'sports', 'other'],
-        message: '{VALUE} is not a valid category'
-      },
-      lowercase: true
+      index: true
     },
+    // Set manually unless trackInventory is on, in which case it is derived from stock
     inStock: {
       type: Boolean,
       default: true
+    },
+    // Switched on by the first stock movement
+    trackInventory: {
+      type: Boolean,
+      default: false
+    },
+    // Per-warehouse stock levels
+    stock: [
+      {
+        _id: false,
+        warehouse: {
+          type: String,
+          required: true,
+          trim: true
+        },
+        onHand: {
+          type: Number,
+          default: 0,
+          min: [0, 'Stock on hand cannot be negative']
+        },
+        reserved: {
+          type: Number,
+          default: 0,
+          min: [0, 'Reserved stock cannot be negative']
+        }
+      }
+    ],
+    // Totals across warehouses, kept in sync from `stock`
+    quantity: {
+      type: Number,
+      default: 0
+    },
+    reserved: {
+      type: Number,
+      default: 0
+    },
+    // Option definitions the variants choose from, e.g. { name: 'size', values: ['S', 'M', 'L'] }
+    options: [
+      {
+        _id: false,
+        name: {
+          type: String,
+          required: [true, 'Please provide an option name'],
+          trim: true
+        },
+        values: {
+          type: [{ type: String, trim: true }],
+          validate: [values => values.length > 0, 'An option needs at least one value']
+        }
+      }
+    ],
+    variants: [variantSchema],
+    // In display order
+    images: [imageSchema],
+    // Available units at or below which a product.low_stock event fires (falls back to LOW_STOCK_THRESHOLD)
+    lowStockThreshold: {
+      type: Number,
+      min: [0, 'Low-stock threshold cannot be negative']
+    },
+    // Average of the approved reviews' ratings (0 while there are none) and how many there
+    // are; maintained by Review.syncProductRating
+    rating: {
+      type: Number,
+      default: 0
+    },
+    reviewCount: {
+      type: Number,
+      default: 0
+    },
+    // Soft delete: set instead of removing the document
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      id: String,
+      name: String,
+      type: { type: String }
     }
   },
   {
     timestamps: true,
+    // Bump __v on every save and reject saves of a stale copy
+    optimisticConcurrency: true,
     toJSON: { virtuals: true },
     toObject: { virtuals: true }
   }
 );
 
+// Start sales whose time has come and end the one that is over. Returns true if anything changed.
+productSchema.methods.applySales = function (now = new Date()) {
+  let changed = false;
+  
+  const running = this.sales.find(sale => sale.status === 'active');
+  if (running && running.endsAt <= now) {
+    this.endSale(running, 'ended');
+    changed = true;
+  }
+  
+  this.sales
+    .filter(sale => sale.status === 'scheduled' && sale.startsAt <= now)
+    .sort((a, b) => a.startsAt - b.startsAt)
+    .forEach(sale => {
+      // A sale whose whole window was missed, e.g. while the server was down, never runs
+      if (sale.endsAt <= now) {
+        sale.status = 'ended';
+      } else {
+        this.regularPrice = this.price.toObject();
+        this.price = sale.price.toObject();
+        sale.status = 'active';
+      }
+      changed = true;
+    });
+  
+  return changed;
+};
+
+// Stop a sale early (status 'cancelled') or on schedule ('ended'), restoring the regular price
+productSchema.methods.endSale = function (sale, status) {
+  if (sale.status === 'active' && this.regularPrice) {
+    this.price = this.regularPrice.toObject();
+    this.regularPrice = undefined;
+  }
+  sale.status = status;
+};
+
+// Set the price customers pay outside of sales; during a sale it takes effect when the sale ends
+productSchema.methods.setRegularPrice = function (price) {
+  if (this.regularPrice) this.regularPrice = price;
+  else this.price = price;
+};
+
+// Give the product a new slug, remembering the old one so links to it keep working
+productSchema.methods.changeSlug = function (slug) {
+  if (!slug || slug === this.slug) return;
+  
+  const previous = this.previousSlugs.filter(value => value !== slug);
+  if (this.slug) previous.push(this.slug);
+  this.previousSlugs = previous;
+  this.slug = slug;
+};
+
+// Give products without a slug one made from their name: "Desk Lamp" becomes desk-lamp, or
+// desk-lamp-2 and so on if another product has (or had) that slug. Products in the same call
+// get distinct slugs, so a batch can be inserted at once.
+productSchema.statics.assignSlugs = async function (products) {
+  const taken = new Set();
+  
+  for (const product of products.filter(({ slug, name }) => !slug && name)) {
+    const base = slugify(product.name) || 'product';
+    const pattern = new RegExp(`^${base}(-\\d+)?$`);
+    const existing = await this.find({ $or: [{ slug: pattern }, { previousSlugs: pattern }] })
+      .setOptions({ withDeleted: true })
+      .select('slug previousSlugs')
+      .lean();
+    existing.forEach(({ slug, previousSlugs = [] }) => [slug, ...previousSlugs].forEach(value => taken.add(value)));
+    
+    let slug = base;
+    for (let suffix = 2; taken.has(slug); suffix += 1) slug = `${base}-${suffix}`;
+    taken.add(slug);
+    product.slug = slug;
+  }
+};
+
+// Product SKUs, slugs and GTINs each identify one product, including trashed ones. The indexes
+// are partial so products from before these fields existed don't collide until
+// migrateIdentifiers fills them in.
+productSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $type: 'string' } } });
+productSchema.index({ slug: 1 }, { unique: true, partialFilterExpression: { slug: { $type: 'string' } } });
+productSchema.index({ previousSlugs: 1 });
+productSchema.index({ gtin: 1 }, { unique: true, partialFilterExpression: { gtin: { $type: 'string' } } });
+
+// Variant SKUs are unique across the catalog
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+// Backs GET /api/products/search; matches in the name count for more than in the description
+productSchema.index(
+  { name: 'text', description: 'text' },
+  { name: 'ProductTextIndex', weights: { name: 10, description: 3 } }
+);
+
+productSchema.virtual('available').get(function () {
+  // Left out when the quantities weren't loaded, e.g. with a ?fields= projection
+  if (this.quantity === undefined) return undefined;
+  return this.quantity - (this.reserved || 0);
+});
+
+// Lowest and highest price a customer can pay, across the variants if there are any
+productSchema.virtual('priceRange').get(function () {
+  if (!this.price || this.price.amount === undefined) return undefined;
+  
+  const { amount, currency } = this.price;
+  if (!this.variants || !this.variants.length) return { min: amount, max: amount, currency };
+  
+  const amounts = this.variants.map(variant => variant.effectivePrice.amount);
+  return { min: Math.min(...amounts), max: Math.max(...amounts), currency };
+});
+
+// New products get their slug here, unless the client chose one
+productSchema.pre('validate', async function () {
+  if (!this.slug) await this.constructor.assignSlugs([this]);
+});
+
+// Derive totals and inStock from the warehouse lines
+productSchema.pre('validate', function () {
+  if (!this.trackInventory) return;
+  
+  this.quantity = this.stock.reduce((sum, line) => sum + line.onHand, 0);
+  this.reserved = this.stock.reduce((sum, line) => sum + line.reserved, 0);
+  this.inStock = this.quantity - this.reserved > 0;
+});
+
+// A product with variants is in stock while any of its variants is
+productSchema.pre('validate', function () {
+  if (!this.variants.length) return;
+  
+  this.variants.forEach(variant => {
+    variant.inStock = variant.quantity > 0;
+  });
+  this.inStock = this.variants.some(variant => variant.inStock);
+});
+
+// Prices that derive from `price` have to be in the same currency, and a price list
+// holds at most one price per currency
+productSchema.pre('validate', function () {
+  if (!this.price) return;
+  const { currency } = this.regularPrice || this.price;
+  
+  this.variants.forEach((variant, index) => {
+    if (variant.price && variant.price.currency !== currency) {
+      this.invalidate(`variants.${index}.price.currency`, `Variant prices must be in ${currency}`);
+    }
+  });
+  
+  this.sales.forEach((sale, index) => {
+    if (isPending(sale) && sale.price.currency !== currency) {
+      this.invalidate(`sales.${index}.price.currency`, `Sale prices must be in ${currency}`);
+    }
+  });
+  
+  const listed = new Set();
+  this.priceList.forEach((entry, index) => {
+    if (entry.currency === currency) {
+      this.invalidate(`priceList.${index}.currency`, `${currency} is the product's own currency; set price instead`);
+    } else if (listed.has(entry.currency)) {
+      this.invalidate(`priceList.${index}.currency`, `The price list already has a price in ${entry.currency}`);
+    }
+    listed.add(entry.currency);
+  });
+});
+
+// Sales must end after they start and can't overlap
+productSchema.pre('validate', function () {
+  const pending = this.sales.filter(isPending);
+  
+  pending.forEach((sale, index) => {
+    if (sale.endsAt <= sale.startsAt) {
+      this.invalidate(`sales.${this.sales.indexOf(sale)}.endsAt`, 'A sale must end after it starts');
+    }
+    if (pending.slice(index + 1).some(other => other.startsAt < sale.endsAt && sale.startsAt < other.endsAt)) {
+      this.invalidate(`sales.${this.sales.indexOf(sale)}.startsAt`, 'Sales for a product cannot overlap');
+    }
+  });
+});
+
+// Exactly one image is primary: the first one flagged, or the first image if none is
+productSchema.pre('validate', function () {
+  if (!this.images.length) return;
+  
+  const primary = this.images.find(image => image.primary) || this.images[0];
+  this.images.forEach(image => {
+    image.primary = image === primary;
+  });
+});
+
+// Every variant must pick one allowed value for each defined option, and no two
+// variants may share a SKU or a combination of values
+productSchema.pre('validate', function () {
+  const optionNames = new Set();
+  this.options.forEach((option, index) => {
+    if (optionNames.has(option.name)) {
+      this.invalidate(`options.${index}.name`, `Option '${option.name}' is defined twice`);
+    }
+    optionNames.add(option.name);
+  });
+  
+  const skus = new Set();
+  const combinations = new Set();
+  
+  this.variants.forEach((variant, index) => {
+    const path = `variants.${index}`;
+    
+    if (skus.has(variant.sku)) {
+      this.invalidate(`${path}.sku`, `SKU '${variant.sku}' is used by another variant`);
+    }
+    skus.add(variant.sku);
+    
+    [...variant.options.keys()]
+      .filter(name => !optionNames.has(name))
+      .forEach(name => this.invalidate(`${path}.options`, `Unknown option '${name}'`));
+    
+    this.options.forEach(({ name, values }) => {
+      const value = variant.options.get(name);
+      if (value === undefined) {
+        this.invalidate(`${path}.options`, `Missing a value for option '${name}'`);
+      } else if (!values.includes(value)) {
+        this.invalidate(`${path}.options`, `'${value}' is not a value of option '${name}'`);
+      }
+    });
+    
+    const combination = JSON.stringify(this.options.map(({ name }) => variant.options.get(name)));
+    if (this.options.length && combinations.has(combination)) {
+      this.invalidate(`${path}.options`, 'Another variant already has these option values');
+    }
+    combinations.add(combination);
+  });
+});
+
+// Soft-deleted products are hidden from queries unless the filter mentions
+// deletedAt explicitly or the query opts in with .setOptions({ withDeleted: true })
+productSchema.pre(
+  ['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete', 'countDocuments', 'updateOne', 'updateMany'],
+  function () {
+    if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) return;
+    this.where({ deletedAt: null });
+  }
+);
+
+productSchema.pre('aggregate', function () {
+  const pipeline = this.pipeline();
+  const [first] = pipeline;
+  
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) first.$match.deletedAt = null;
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+});
+
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const toActor = require('../utils/actor');
+
+// Bookkeeping fields that are never diffed
+const IGNORED_FIELDS = ['_id', 'id', '__v', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy'];
+
+// How many times record() picks a version number before giving up on a conflict
+const MAX_VERSION_ATTEMPTS = 5;
+
+const productHistorySchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+      index: true
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+    action: {
+      type: String,
+      required: true,
+      enum: ['create', 'update', 'delete', 'restore', 'purge']
+    },
+    // Who made the change, copied from req.user so it survives user deletion
+    actor: {
+      id: String,
+      name: String,
+      type: { type: String }
+    },
+    // Full product state after the change; for deletes and purges, the last state before removal
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    changes: [
+      {
+        _id: false,
+        field: String,
+        from: mongoose.Schema.Types.Mixed,
+        to: mongoose.Schema.Types.Mixed
+      }
+    ]
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+    minimize: false
+  }
+);
+
+productHistorySchema.index({ product: 1, version: -1 }, { unique: true });
+// Activity analytics count entries by time
+productHistorySchema.index({ createdAt: 1 });
+
+const toSnapshot = (product) => {
+  const snapshot = product.toObject({ virtuals: false, depopulate: true, flattenMaps: true });
+  delete snapshot.__v;
+  return snapshot;
+};
+
+const isEqual = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Field-level diff between two snapshots
+const diffSnapshots = (before = {}, after = {}) => {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field) && !isEqual(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+// Append a history entry for a single product. `before` is the snapshot taken
+// prior to the change (omit for creates). Pass `session` to write it in a transaction.
+productHistorySchema.statics.record = async function ({ product, action, user, before, session }) {
+  const removed = action === 'delete' || action === 'purge';
+  const snapshot = removed ? before : toSnapshot(product);
+  const changes = removed ? diffSnapshots(before, {}) : diffSnapshots(before, snapshot);
+  
+  // Saving an update that changed nothing doesn't warrant a new version
+  if (action === 'update' && !changes.length) return null;
+  
+  for (let attempt = 1; ; attempt++) {
+    const latest = await this.findOne({ product: product._id }).sort('-version').select('version').session(session || null);
+    
+    try {
+      const [entry] = await this.create([{
+        product: product._id,
+        version: latest ? latest.version + 1 : 1,
+        action,
+        actor: toActor(user),
+        snapshot,
+        changes
+      }], { session });
+      return entry;
+    } catch (error) {
+      // A concurrent change took the same version number: read the latest again and take the next.
+      // Inside a transaction the write error has already aborted it, so that is left to the caller.
+      if (error.code !== 11000 || session || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+    }
+  }
+};
+
+// Record version 1 for a batch of newly created products
+productHistorySchema.statics.recordCreates = function (products, user) {
+  return this.insertMany(products.map(product => {
+    const snapshot = toSnapshot(product);
+    return {
+      product: product._id,
+      version: 1,
+      action: 'create',
+      actor: toActor(user),
+      snapshot,
+      changes: diffSnapshots({}, snapshot)
+    };
+  }));
+};
+
+productHistorySchema.statics.toSnapshot = toSnapshot;
+productHistorySchema.statics.diffSnapshots = diffSnapshots;
+
+module.exports = mongoose.model('ProductHistory', productHistorySchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Request count of one client in one fixed rate-limit window. _id is "<client key>:<window start>".
+const rateLimitCounterSchema = new mongoose.Schema(
+  {
+    _id: String,
+    count: {
+      type: Number,
+      default: 0
+    },
+    // End of the window; MongoDB deletes the counter shortly afterwards
+    resetAt: {
+      type: Date,
+      required: true,
+      expires: 0
+    }
+  },
+  {
+    versionKey: false
+  }
+);
+
+module.exports = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Time-limited hold on stock, e.g. for items sitting in a cart
+const reservationSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true
+    },
+    warehouse: {
+      type: String,
+      required: true
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: [1, 'Quantity must be at least 1']
+    },
+    // Caller's own identifier, such as a cart or order ID
+    reference: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['active', 'committed', 'released', 'expired'],
+      default: 'active'
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    actor: {
+      id: String,
+      name: String,
+      type: { type: String }
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Reservation', reservationSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Product = require('./Product');
+
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+
+// A customer's review of a product. Only approved reviews are public and count
+// towards the product's rating.
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true
+    },
+    author: {
+      id: {
+        type: String,
+        required: true
+      },
+      name: String
+    },
+    rating: {
+      type: Number,
+      required: [true, 'Please provide a rating'],
+      min: [1, 'Rating must be between 1 and 5'],
+      max: [5, 'Rating must be between 1 and 5'],
+      validate: [Number.isInteger, 'Rating must be a whole number']
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: [100, 'Title cannot be more than 100 characters']
+    },
+    body: {
+      type: String,
+      required: [true, 'Please provide the review text'],
+      trim: true,
+      maxlength: [2000, 'Review cannot be more than 2000 characters']
+    },
+    status: {
+      type: String,
+      enum: REVIEW_STATUSES,
+      default: 'pending'
+    },
+    // Last moderation decision
+    moderation: {
+      by: {
+        id: String,
+        name: String,
+        type: { type: String }
+      },
+      at: Date,
+      note: String
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One review per user per product
+reviewSchema.index({ product: 1, 'author.id': 1 }, { unique: true });
+// Moderation queue and public listings
+reviewSchema.index({ status: 1, createdAt: -1 });
+
+// Recompute the product's denormalized rating and review count from its approved reviews.
+// Written straight to the document so it isn't recorded as an edit in the product history.
+reviewSchema.statics.syncProductRating = async function (productId) {
+  const [summary] = await this.aggregate([
+    { $match: { product: new mongoose.Types.ObjectId(String(productId)), status: 'approved' } },
+    { $group: { _id: null, average: { $avg: '$rating' }, count: { $sum: 1 } } }
+  ]);
+  
+  await Product.updateOne(
+    { _id: productId },
+    {
+      rating: summary ? Math.round(summary.average * 100) / 100 : 0,
+      reviewCount: summary ? summary.count : 0
+    },
+    { timestamps: false }
+  ).setOptions({ withDeleted: true });
+};
+
+const Review = mongoose.model('Review', reviewSchema);
+Review.STATUSES = REVIEW_STATUSES;
+
+module.exports = Review;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const MOVEMENT_TYPES = ['receive', 'sell', 'adjust', 'return'];
+
+// Append-only ledger of every stock change
+const stockMovementSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+      index: true
+    },
+    warehouse: {
+      type: String,
+      required: true
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: {
+        values: MOVEMENT_TYPES,
+        message: '{VALUE} is not a valid movement type'
+      }
+    },
+    // Signed change to stock on hand
+    quantity: {
+      type: Number,
+      required: true
+    },
+    // Stock on hand in the warehouse after this movement
+    balanceAfter: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot be more than 500 characters']
+    },
+    reservation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Reservation'
+    },
+    actor: {
+      id: String,
+      name: String,
+      type: { type: String }
+    }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+);
+
+const StockMovement = mongoose.model('StockMovement', stockMovementSchema);
+StockMovement.TYPES = MOVEMENT_TYPES;
+
+module.exports = StockMovement;
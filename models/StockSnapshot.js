@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// How many products one category had on one (UTC) day, and how many of them were out of stock,
+// as last sampled that day by the recordStockSnapshots job. Backs the stock-out analytics.
+const stockSnapshotSchema = new mongoose.Schema(
+  {
+    day: {
+      type: Date,
+      required: true
+    },
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+      required: true
+    },
+    products: {
+      type: Number,
+      default: 0
+    },
+    outOfStock: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true,
+    versionKey: false
+  }
+);
+
+stockSnapshotSchema.index({ day: 1, category: 1 }, { unique: true });
+
+module.exports = mongoose.model('StockSnapshot', stockSnapshotSchema);
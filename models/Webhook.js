@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const WEBHOOK_EVENTS = [
+  'product.created',
+  'product.updated',
+  'product.repriced',
+  'product.out_of_stock',
+  'product.low_stock',
+  'product.deleted'
+];
+
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'Please provide a URL'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Description cannot be more than 200 characters']
+    },
+    // Events this subscriber receives; '*' means all of them
+    events: {
+      type: [
+        {
+          type: String,
+          enum: {
+            values: [...WEBHOOK_EVENTS, '*'],
+            message: '{VALUE} is not a valid webhook event'
+          }
+        }
+      ],
+      validate: [events => events.length > 0, 'Please subscribe to at least one event']
+    },
+    // Used to sign deliveries, so it has to be stored in plaintext; only returned on creation
+    secret: {
+      type: String,
+      required: true,
+      select: false,
+      default: () => `whsec_${crypto.randomBytes(24).toString('base64url')}`
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    createdBy: {
+      id: String,
+      name: String,
+      type: { type: String }
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+Webhook.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = Webhook;
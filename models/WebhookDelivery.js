@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Webhook',
+      required: true
+    },
+    event: {
+      type: String,
+      required: true
+    },
+    // Exact JSON body sent to the subscriber
+    payload: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: DELIVERY_STATUSES,
+      default: 'pending'
+    },
+    // When the next attempt is due; also acts as a lease while an attempt is in flight
+    nextAttemptAt: Date,
+    attempts: [
+      {
+        _id: false,
+        at: Date,
+        statusCode: Number,
+        error: String,
+        durationMs: Number
+      }
+    ]
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+WebhookDelivery.STATUSES = DELIVERY_STATUSES;
+
+module.exports = WebhookDelivery;
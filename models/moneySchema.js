@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+const { BASE_CURRENCY, isCurrency } = require('../utils/money');
+
+// An amount of money in integer minor units; embedded wherever a price is stored
+const moneySchema = new mongoose.Schema(
+  {
+    amount: {
+      type: Number,
+      required: [true, 'Please provide an amount'],
+      min: [0, 'Amount cannot be negative'],
+      validate: [Number.isInteger, 'Amount must be a whole number of minor units (e.g. cents)']
+    },
+    currency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: BASE_CURRENCY,
+      validate: [isCurrency, '{VALUE} is not an ISO 4217 currency code']
+    }
+  },
+  { _id: false }
+);
+
+module.exports = moneySchema;
@@ -0,0 +1,106 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateApiKey } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           description: Label for the service account using this key
+ *         prefix:
+ *           type: string
+ *           description: First characters of the key, for identification
+ *         role:
+ *           type: string
+ *           enum: [viewer, editor, admin]
+ *         active:
+ *           type: boolean
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: Named, revocable API keys for service accounts
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *   post:
+ *     summary: Create an API key
+ *     description: The plaintext key is returned only in this response; only its hash is stored.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: API key created
+ *
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', getApiKeys);
+router.post('/', validateApiKey, createApiKey);
+router.delete('/:id', revokeApiKey);
+
+module.exports = router;
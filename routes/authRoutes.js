@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const {
+  register,
+  login,
+  refresh,
+  logout,
+  getMe
+} = require('../controllers/authController');
+const { authenticate } = require('../middleware/auth');
+const { validateRegister, validateLogin } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     User:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *         email:
+ *           type: string
+ *           format: email
+ *         role:
+ *           type: string
+ *           enum: [viewer, editor, admin]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         accessToken:
+ *           type: string
+ *           description: Short-lived JWT to send as "Authorization: Bearer <token>"
+ *         refreshToken:
+ *           type: string
+ *           description: Long-lived JWT accepted by /api/auth/refresh
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         expiresIn:
+ *           type: string
+ *           example: 15m
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Auth
+ *   description: Registration, login and token refresh
+ */
+
+/**
+ * @swagger
+ * /api/auth/register:
+ *   post:
+ *     summary: Register a new user
+ *     description: The account registered with the ADMIN_EMAIL address becomes an admin. Other accounts start as viewers.
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, email, password]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       201:
+ *         description: User created and logged in
+ *       400:
+ *         description: Invalid input data
+ *       409:
+ *         description: Email already registered
+ *
+ * /api/auth/login:
+ *   post:
+ *     summary: Log in and receive access and refresh tokens
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [email, password]
+ *             properties:
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/AuthTokens'
+ *                     - type: object
+ *                       properties:
+ *                         user:
+ *                           $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Invalid email or password
+ *
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     tags: [Auth]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [refreshToken]
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New tokens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke every refresh token issued to the current user
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out
+ *
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the authenticated user or API key
+ *     tags: [Auth]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: The current caller
+ *       401:
+ *         description: Not authenticated
+ */
+
+router.post('/register', validateRegister, register);
+router.post('/login', validateLogin, login);
+router.post('/refresh', refresh);
+router.post('/logout', authenticate, logout);
+router.get('/me', authenticate, getMe);
+
+module.exports = router;
@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCategories,
+  getCategoryTree,
+  getCategory,
+  createCategory,
+  updateCategory,
+  deleteCategory
+} = require('../controllers/categoryController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateCategory } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Category:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         id:
+ *           type: string
+ *         name:
+ *           type: string
+ *           maxLength: 50
+ *         slug:
+ *           type: string
+ *           description: URL-safe identifier, generated from the name if omitted
+ *         description:
+ *           type: string
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Parent category id, or null for a top-level category
+ *         ancestors:
+ *           type: array
+ *           readOnly: true
+ *           description: Ids of every ancestor, top level first
+ *           items:
+ *             type: string
+ *         depth:
+ *           type: integer
+ *           readOnly: true
+ *           description: 0 for top-level categories
+ *       example:
+ *         id: 66a1f0c2e4b0a1b2c3d4e5f6
+ *         name: Laptops
+ *         slug: laptops
+ *         parent: 66a1f0c2e4b0a1b2c3d4e5f0
+ *         ancestors: [66a1f0c2e4b0a1b2c3d4e5f0]
+ *         depth: 1
+ *
+ *     CategoryInput:
+ *       type: object
+ *       required: [name]
+ *       properties:
+ *         name:
+ *           type: string
+ *         slug:
+ *           type: string
+ *         description:
+ *           type: string
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: Id or slug of the parent category; null moves it to the top level
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Categories
+ *   description: >
+ *     Product categories, nested to any depth. Filtering products by a category
+ *     includes everything in its subcategories.
+ */
+
+/**
+ * @swagger
+ * /api/categories:
+ *   get:
+ *     summary: List categories
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: Only the direct children of this category (id or slug), or "root" for top-level ones
+ *     responses:
+ *       200:
+ *         description: Categories sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Category'
+ *   post:
+ *     summary: Create a category (editor or admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       201:
+ *         description: Category created
+ *       400:
+ *         description: Invalid input or unknown parent
+ *       409:
+ *         description: Slug already in use
+ *
+ * /api/categories/tree:
+ *   get:
+ *     summary: Get the whole hierarchy as nested nodes
+ *     tags: [Categories]
+ *     responses:
+ *       200:
+ *         description: Top-level categories, each with a children array
+ *
+ * /api/categories/{ref}:
+ *   get:
+ *     summary: Get a category by id or slug
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: ref
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Category id or slug
+ *     responses:
+ *       200:
+ *         description: The category, with a path array of its ancestors' names and slugs
+ *       404:
+ *         description: Category not found
+ *   put:
+ *     summary: Rename, re-slug or move a category (editor or admin)
+ *     description: Moving a category moves its whole subtree; its products keep their category.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ref
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CategoryInput'
+ *     responses:
+ *       200:
+ *         description: Category updated
+ *       400:
+ *         description: Invalid input, unknown parent, or a move under its own subtree
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: Slug already in use
+ *   delete:
+ *     summary: Delete a category (admin)
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: ref
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category deleted
+ *       404:
+ *         description: Category not found
+ *       409:
+ *         description: The category still has subcategories or products
+ */
+
+router.get('/', getCategories);
+router.get('/tree', getCategoryTree);
+router.get('/:ref', getCategory);
+router.post('/', authenticate, authorize('editor', 'admin'), validateCategory, createCategory);
+router.put('/:ref', authenticate, authorize('editor', 'admin'), validateCategory, updateCategory);
+router.delete('/:ref', authenticate, authorize('admin'), deleteCategory);
+
+module.exports = router;
@@ -0,0 +1,102 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getExchangeRates,
+  setExchangeRate,
+  deleteExchangeRate
+} = require('../controllers/exchangeRateController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateExchangeRate } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ExchangeRate:
+ *       type: object
+ *       properties:
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code
+ *         rate:
+ *           type: number
+ *           description: Units of this currency per one unit of the base currency
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         currency: EUR
+ *         rate: 0.92
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Exchange rates
+ *   description: >
+ *     Locally maintained rates used to show prices in currencies a product has no
+ *     price-list entry for. Rates are relative to the base currency (BASE_CURRENCY, default USD).
+ */
+
+/**
+ * @swagger
+ * /api/exchange-rates:
+ *   get:
+ *     summary: List exchange rates
+ *     tags: [Exchange rates]
+ *     responses:
+ *       200:
+ *         description: Rates by currency, with the base currency in `base`
+ *
+ * /api/exchange-rates/{currency}:
+ *   put:
+ *     summary: Set the rate for a currency (admin)
+ *     tags: [Exchange rates]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [rate]
+ *             properties:
+ *               rate:
+ *                 type: number
+ *     responses:
+ *       200:
+ *         description: Rate saved
+ *       400:
+ *         description: Unknown currency, the base currency, or a non-positive rate
+ *   delete:
+ *     summary: Remove a currency's rate (admin)
+ *     tags: [Exchange rates]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: currency
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rate removed
+ *       404:
+ *         description: No rate set for that currency
+ */
+
+router.get('/', getExchangeRates);
+router.put('/:currency', authenticate, authorize('admin'), validateExchangeRate, setExchangeRate);
+router.delete('/:currency', authenticate, authorize('admin'), deleteExchangeRate);
+
+module.exports = router;
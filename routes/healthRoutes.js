@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const { getLiveness, getReadiness, getMetrics } = require('../controllers/healthController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Operations
+ *   description: Health checks for load balancers and metrics for Prometheus
+ */
+
+/**
+ * @swagger
+ * /healthz:
+ *   get:
+ *     summary: Liveness check
+ *     description: Succeeds while the process is running, whatever the state of the database.
+ *     tags: [Operations]
+ *     responses:
+ *       200:
+ *         description: The process is alive
+ *
+ * /readyz:
+ *   get:
+ *     summary: Readiness check
+ *     description: >
+ *       Succeeds only while MongoDB is connected and the server isn't shutting down; take the instance out of
+ *       rotation otherwise.
+ *     tags: [Operations]
+ *     responses:
+ *       200:
+ *         description: Ready to serve traffic
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: ok
+ *               checks:
+ *                 database: connected
+ *       503:
+ *         description: >
+ *           Not ready; `checks.database` is disconnected, connecting or disconnecting, or `checks.server` is
+ *           shutting down
+ *
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: >
+ *       Process metrics, `http_requests_total` and `http_request_duration_seconds` by method, route and status,
+ *       `db_operation_duration_seconds` by collection and command, and `catalog_products` by category and
+ *       stock status. When `METRICS_TOKEN` is set, send it as `Authorization: Bearer <token>`.
+ *     tags: [Operations]
+ *     responses:
+ *       200:
+ *         description: Metrics in the Prometheus text exposition format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Missing or wrong metrics token
+ */
+
+router.get('/healthz', getLiveness);
+router.get('/readyz', getReadiness);
+router.get('/metrics', getMetrics);
+
+module.exports = router;
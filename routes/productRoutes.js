@@ -3,11 +3,76 @@ const router = express.Router();
 const {
   getProducts,
   getProductById,
+  getProductBySku,
+  getProductBySlug,
+  getProductByGtin,
   createProduct,
   updateProduct,
+  patchProduct,
   deleteProduct,
-  getProductStats
+  getProductStats,
+  importProducts,
+  exportProducts,
+  getTrash,
+  undeleteProduct,
+  purgeProduct
 } = require('../controllers/productController');
+const { searchProducts } = require('../controllers/searchController');
+const {
+  getVariants,
+  getVariant,
+  createVariant,
+  updateVariant,
+  deleteVariant
+} = require('../controllers/variantController');
+const {
+  getProductHistory,
+  getPriceHistory,
+  restoreProduct
+} = require('../controllers/productHistoryController');
+const { getSales, createSale, cancelSale } = require('../controllers/saleController');
+const { getProductReviews, createReview } = require('../controllers/reviewController');
+const {
+  getImages,
+  uploadImages,
+  updateImage,
+  reorderImages,
+  deleteImage
+} = require('../controllers/imageController');
+const {
+  getStock,
+  createStockMovement,
+  getStockMovements,
+  createReservation
+} = require('../controllers/inventoryController');
+const { bulkUpdateProducts, bulkDeleteProducts } = require('../controllers/bulkController');
+const { getPriceAnalytics, getActivityAnalytics, getStockAnalytics } = require('../controllers/analyticsController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { parseImageUpload } = require('../middleware/upload');
+const idempotency = require('../middleware/idempotency');
+const {
+  validateProduct,
+  validateVariant,
+  validateSale,
+  validateImageUpload,
+  validateImage,
+  validateImageOrder,
+  validateReview,
+  validateStockMovement,
+  validateReservation,
+  validateBulkUpdate,
+  validateBulkDelete
+} = require('../middleware/validation');
+const { MERGE_PATCH, JSON_PATCH } = require('../utils/patch');
+
+// Raw body parser for bulk imports
+const parseImportBody = express.text({
+  type: ['text/csv', 'application/x-ndjson', 'text/plain'],
+  limit: process.env.IMPORT_MAX_SIZE || '10mb'
+});
+
+// Patch documents; plain application/json (a merge patch) is parsed by the app already
+const parsePatchBody = express.json({ type: [MERGE_PATCH, JSON_PATCH], strict: false });
 
 /**
  * @swagger
@@ -17,6 +82,7 @@ const {
  *       type: object
  *       required:
  *         - name
+ *         - sku
  *         - price
  *         - description
  *         - category
@@ -29,22 +95,127 @@ const {
  *           description: The product name
  *           minLength: 3
  *           maxLength: 100
+ *         sku:
+ *           type: string
+ *           description: Stock-keeping unit, unique across the catalog
+ *           maxLength: 64
+ *         slug:
+ *           type: string
+ *           pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$'
+ *           description: >
+ *             Unique URL identifier. Generated from the name on creation unless given, and kept when the
+ *             product is renamed; changing it keeps the old slug working as a redirect.
+ *         previousSlugs:
+ *           type: array
+ *           readOnly: true
+ *           description: Former slugs, which redirect to the current one
+ *           items:
+ *             type: string
+ *         gtin:
+ *           type: string
+ *           pattern: '^(\d{8}|\d{12,14})$'
+ *           description: Unique barcode number (EAN-8, UPC-A, EAN-13 or GTIN-14) with a valid check digit
  *         description:
  *           type: string
  *           description: Detailed description of the product
  *           maxLength: 1000
  *         price:
- *           type: number
- *           description: The price of the product
- *           minimum: 0
+ *           $ref: '#/components/schemas/Money'
+ *         regularPrice:
+ *           readOnly: true
+ *           description: Set while a sale runs; the price restored when it ends
+ *           allOf:
+ *             - $ref: '#/components/schemas/Money'
+ *         priceList:
+ *           type: array
+ *           description: Fixed prices in other currencies, at most one per currency
+ *           items:
+ *             $ref: '#/components/schemas/Money'
+ *         sales:
+ *           type: array
+ *           readOnly: true
+ *           description: Managed through /api/products/{id}/sales
+ *           items:
+ *             $ref: '#/components/schemas/Sale'
+ *         displayPrice:
+ *           readOnly: true
+ *           description: >
+ *             Only with ?currency=; the price-list entry for that currency, or the price converted
+ *             at the configured exchange rate (null if there is none)
+ *           allOf:
+ *             - $ref: '#/components/schemas/Money'
+ *             - type: object
+ *               properties:
+ *                 source:
+ *                   type: string
+ *                   enum: [price, priceList, converted]
  *         category:
  *           type: string
- *           description: The category of the product
- *           enum: [electronics, clothing, home, kitchen, sports, other]
+ *           description: Id of the product's category; the category slug is also accepted on write
  *         inStock:
  *           type: boolean
- *           description: Whether the product is in stock
+ *           description: Whether the product is in stock (derived from stock when trackInventory is on)
  *           default: true
+ *         lowStockThreshold:
+ *           type: integer
+ *           description: Available units at or below which a product.low_stock webhook fires
+ *         options:
+ *           type: array
+ *           description: Option definitions the variants choose from
+ *           items:
+ *             $ref: '#/components/schemas/ProductOption'
+ *         variants:
+ *           type: array
+ *           readOnly: true
+ *           description: Managed through /api/products/{id}/variants
+ *           items:
+ *             $ref: '#/components/schemas/Variant'
+ *         priceRange:
+ *           type: object
+ *           readOnly: true
+ *           description: Lowest and highest price across the variants (both equal to price without variants)
+ *           properties:
+ *             min:
+ *               type: integer
+ *             max:
+ *               type: integer
+ *             currency:
+ *               type: string
+ *         trackInventory:
+ *           type: boolean
+ *           description: Whether stock is tracked; switched on by the first stock movement
+ *           readOnly: true
+ *         stock:
+ *           type: array
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/StockLevel'
+ *         quantity:
+ *           type: integer
+ *           description: Units on hand across all warehouses
+ *           readOnly: true
+ *         reserved:
+ *           type: integer
+ *           description: Units held by active reservations
+ *           readOnly: true
+ *         available:
+ *           type: integer
+ *           description: Units on hand minus reserved units
+ *           readOnly: true
+ *         rating:
+ *           type: number
+ *           description: Average rating of the approved reviews, 0 while there are none
+ *           readOnly: true
+ *         reviewCount:
+ *           type: integer
+ *           description: Number of approved reviews
+ *           readOnly: true
+ *         images:
+ *           type: array
+ *           description: In display order; managed through /api/products/{id}/images
+ *           readOnly: true
+ *           items:
+ *             $ref: '#/components/schemas/ProductImage'
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -57,12 +228,201 @@ const {
  *         id: 5f8d0f4d77c19d4e5a7b8c3d
  *         name: Laptop
  *         description: A high-performance laptop with 16GB RAM and 512GB SSD
- *         price: 1299.99
- *         category: electronics
+ *         price:
+ *           amount: 129999
+ *           currency: USD
+ *         category: 66a1f0c2e4b0a1b2c3d4e5f0
  *         inStock: true
  *         createdAt: 2025-03-20T12:00:00.000Z
  *         updatedAt: 2025-03-20T12:00:00.000Z
  * 
+ *     Money:
+ *       type: object
+ *       required: [amount]
+ *       properties:
+ *         amount:
+ *           type: integer
+ *           description: Amount in minor units of the currency, e.g. cents
+ *           minimum: 0
+ *         currency:
+ *           type: string
+ *           description: ISO 4217 code; defaults to the base currency (BASE_CURRENCY, default USD)
+ *       example:
+ *         amount: 1999
+ *         currency: USD
+ *
+ *     Sale:
+ *       type: object
+ *       required: [price, startsAt, endsAt]
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *         price:
+ *           $ref: '#/components/schemas/Money'
+ *         startsAt:
+ *           type: string
+ *           format: date-time
+ *         endsAt:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           readOnly: true
+ *           enum: [scheduled, active, ended, cancelled]
+ *
+ *     ProductOption:
+ *       type: object
+ *       required: [name, values]
+ *       properties:
+ *         name:
+ *           type: string
+ *         values:
+ *           type: array
+ *           items:
+ *             type: string
+ *       example:
+ *         name: size
+ *         values: [S, M, L]
+ *
+ *     Variant:
+ *       type: object
+ *       required: [sku]
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         sku:
+ *           type: string
+ *           description: Unique across all products
+ *         options:
+ *           type: object
+ *           description: One value for each of the product's options
+ *           additionalProperties:
+ *             type: string
+ *         price:
+ *           description: Overrides the product price (in the same currency); omit to sell at the product price
+ *           allOf:
+ *             - $ref: '#/components/schemas/Money'
+ *         quantity:
+ *           type: integer
+ *           description: Units on hand for this variant
+ *         inStock:
+ *           type: boolean
+ *           readOnly: true
+ *         effectivePrice:
+ *           readOnly: true
+ *           allOf:
+ *             - $ref: '#/components/schemas/Money'
+ *       example:
+ *         sku: TEE-M-RED
+ *         options:
+ *           size: M
+ *           color: red
+ *         price:
+ *           amount: 2499
+ *           currency: USD
+ *         quantity: 12
+ *
+ *     ProductImage:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         url:
+ *           type: string
+ *           description: The uploaded file
+ *         thumbnailUrl:
+ *           type: string
+ *           description: WebP thumbnail fitting in 320x320
+ *         filename:
+ *           type: string
+ *           description: Name of the file as uploaded
+ *         contentType:
+ *           type: string
+ *           enum: [image/jpeg, image/png, image/webp, image/gif]
+ *         size:
+ *           type: integer
+ *           description: Bytes
+ *         width:
+ *           type: integer
+ *         height:
+ *           type: integer
+ *         alt:
+ *           type: string
+ *         primary:
+ *           type: boolean
+ *           description: The image to show in listings; exactly one image of a product has it
+ *       example:
+ *         id: 66b2a9d0e4b0a1b2c3d4e5f7
+ *         url: /uploads/products/5f8d0f4d77c19d4e5a7b8c3d/66b2a9d0e4b0a1b2c3d4e5f7.jpg
+ *         thumbnailUrl: /uploads/products/5f8d0f4d77c19d4e5a7b8c3d/66b2a9d0e4b0a1b2c3d4e5f7-thumb.webp
+ *         filename: laptop-front.jpg
+ *         contentType: image/jpeg
+ *         size: 482113
+ *         width: 1600
+ *         height: 1200
+ *         alt: Laptop, front view
+ *         primary: true
+ *
+ *     StockLevel:
+ *       type: object
+ *       properties:
+ *         warehouse:
+ *           type: string
+ *         onHand:
+ *           type: integer
+ *         reserved:
+ *           type: integer
+ *
+ *     StockMovement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         warehouse:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [receive, sell, adjust, return]
+ *         quantity:
+ *           type: integer
+ *           description: Signed change to stock on hand
+ *         balanceAfter:
+ *           type: integer
+ *         reason:
+ *           type: string
+ *         reservation:
+ *           type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     Reservation:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         product:
+ *           type: string
+ *         warehouse:
+ *           type: string
+ *         quantity:
+ *           type: integer
+ *         reference:
+ *           type: string
+ *           description: Caller's own identifier, such as a cart ID
+ *         status:
+ *           type: string
+ *           enum: [active, committed, released, expired]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *
  *     ProductStats:
  *       type: object
  *       properties:
@@ -71,15 +431,33 @@ const {
  *         data:
  *           type: object
  *           properties:
+ *             currency:
+ *               type: string
+ *               description: >
+ *                 Currency of the price figures, which are in its minor units. Prices in other
+ *                 currencies are converted at the configured exchange rates.
  *             totalProducts:
  *               type: integer
  *               description: Total number of products
+ *             unitsOnHand:
+ *               type: integer
+ *               description: Units on hand across all products
+ *             stockValue:
+ *               type: number
+ *               description: Sum of price times units on hand
  *             inStock:
  *               type: integer
  *               description: Number of products in stock
  *             outOfStock:
  *               type: integer
  *               description: Number of products out of stock
+ *             reviewCount:
+ *               type: integer
+ *               description: Approved reviews across all products
+ *             avgRating:
+ *               type: number
+ *             ratingDistribution:
+ *               $ref: '#/components/schemas/RatingDistribution'
  *             byCategory:
  *               type: array
  *               items:
@@ -87,7 +465,15 @@ const {
  *                 properties:
  *                   _id:
  *                     type: string
+ *                     description: Category id
+ *                   name:
+ *                     type: string
  *                     description: Category name
+ *                   slug:
+ *                     type: string
+ *                   depth:
+ *                     type: integer
+ *                     description: Depth of the category in the tree (0 = top level)
  *                   count:
  *                     type: integer
  *                     description: Number of products in this category
@@ -100,9 +486,35 @@ const {
  *                   maxPrice:
  *                     type: number
  *                     description: Maximum price in this category
- *                   totalValue:
+ *                   unitsOnHand:
+ *                     type: integer
+ *                     description: Units on hand in this category
+ *                   stockValue:
+ *                     type: number
+ *                     description: Sum of price times units on hand in this category
+ *                   reviewCount:
+ *                     type: integer
+ *                     description: Approved reviews of products in this category
+ *                   avgRating:
  *                     type: number
- *                     description: Total value of all products in this category
+ *                     description: Average rating over those reviews, 0 if there are none
+ *                   ratingDistribution:
+ *                     $ref: '#/components/schemas/RatingDistribution'
+ *
+ *     RatingDistribution:
+ *       type: object
+ *       description: Number of approved reviews for each star rating
+ *       properties:
+ *         1:
+ *           type: integer
+ *         2:
+ *           type: integer
+ *         3:
+ *           type: integer
+ *         4:
+ *           type: integer
+ *         5:
+ *           type: integer
  */
 
 /**
@@ -118,17 +530,26 @@ const {
  *   get:
  *     summary: Get all products with filtering and pagination
  *     tags: [Products]
+ *     description: >
+ *       Any of name, description, price, category, inStock, trackInventory, quantity, reserved,
+ *       lowStockThreshold, stock.warehouse, rating, reviewCount, createdAt and updatedAt can be filtered as `field=value`
+ *       or `field[operator]=value`, e.g. `price[gte]=1000&price[lt]=5000` (minor units), `createdAt[gte]=2025-01-01`
+ *       or `name[startsWith]=lap`. Operators are eq, ne, in, nin (comma-separated lists) and exists
+ *       for every field, gt, gte, lt and lte for numbers and dates, and startsWith, endsWith and
+ *       contains for strings. Unknown fields, operators or malformed values return 400 with one
+ *       entry per offending parameter in `errors`. Price filters match a product with variants if
+ *       any variant's price matches, and a product with variants is in stock while any variant is.
  *     parameters:
  *       - in: query
  *         name: name
  *         schema:
  *           type: string
- *         description: Filter products by name (case-insensitive search)
+ *         description: Filter products by name (case-insensitive substring match)
  *       - in: query
  *         name: category
  *         schema:
  *           type: string
- *         description: Filter by category (comma-separated for multiple categories)
+ *         description: Filter by category id or slug, including subcategories (comma-separated for multiple categories)
  *       - in: query
  *         name: inStock
  *         schema:
@@ -138,33 +559,71 @@ const {
  *         name: minPrice
  *         schema:
  *           type: number
- *         description: Filter by minimum price
+ *         description: Filter by minimum price, in minor units (e.g. cents)
  *       - in: query
  *         name: maxPrice
  *         schema:
  *           type: number
- *         description: Filter by maximum price
+ *         description: Filter by maximum price, in minor units (e.g. cents)
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
  *           default: 1
- *         description: Page number for pagination
+ *         description: Page number for legacy page/limit pagination
+ *       - in: query
+ *         name: after
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor; return the page after it (from cursors.next)
+ *       - in: query
+ *         name: before
+ *         schema:
+ *           type: string
+ *         description: Opaque cursor; return the page before it (from cursors.prev)
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
  *           default: 10
+ *           minimum: 1
+ *           maximum: 100
  *         description: Number of items per page
  *       - in: query
  *         name: sort
  *         schema:
  *           type: string
  *           default: -createdAt
- *         description: Sort field and order (prefix with - for descending)
+ *         description: >
+ *           Comma-separated sort fields, each prefixed with - for descending (e.g. -price,name).
+ *           Cursors work with a single field out of createdAt, updatedAt, name, price, category,
+ *           quantity, rating and reviewCount.
+ *       - in: query
+ *         name: fields
+ *         schema:
+ *           type: string
+ *         description: Comma-separated fields to return (e.g. name,price); id is always included
+ *       - in: query
+ *         name: includeTotal
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Set to false to skip counting matches, which is faster on large catalogs
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Add a displayPrice in this currency to each product
  *     responses:
+ *       400:
+ *         description: Unknown filter field, operator, sort field or malformed value
  *       200:
  *         description: A list of products with pagination info
+ *         headers:
+ *           Link:
+ *             schema:
+ *               type: string
+ *             description: RFC 8288 links to the next and previous pages
  *         content:
  *           application/json:
  *             schema:
@@ -177,28 +636,51 @@ const {
  *                   description: Number of items in current page
  *                 total:
  *                   type: integer
- *                   description: Total number of items
+ *                   description: Total number of items (omitted when includeTotal=false)
  *                 page:
  *                   type: integer
- *                   description: Current page number
+ *                   description: Current page number (page/limit mode only)
  *                 totalPages:
  *                   type: integer
- *                   description: Total number of pages
+ *                   description: Total number of pages (page/limit mode only)
  *                 hasNextPage:
  *                   type: boolean
  *                   description: Whether there is a next page
  *                 hasPreviousPage:
  *                   type: boolean
  *                   description: Whether there is a previous page
+ *                 cursors:
+ *                   type: object
+ *                   description: Cursors for the neighbouring pages (null at either end)
+ *                   properties:
+ *                     next:
+ *                       type: string
+ *                       nullable: true
+ *                     prev:
+ *                       type: string
+ *                       nullable: true
+ *                 links:
+ *                   type: object
+ *                   description: URLs of the neighbouring pages, also sent as the Link header
+ *                   properties:
+ *                     next:
+ *                       type: string
+ *                       nullable: true
+ *                     prev:
+ *                       type: string
+ *                       nullable: true
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Product'
  *   post:
- *     summary: Create a new product
+ *     summary: Create a new product (editor or admin)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
@@ -216,10 +698,14 @@ const {
  *               description:
  *                 type: string
  *               price:
- *                 type: number
+ *                 $ref: '#/components/schemas/Money'
+ *               priceList:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Money'
  *               category:
  *                 type: string
- *                 enum: [electronics, clothing, home, kitchen, sports, other]
+ *                 description: Category id or slug
  *               inStock:
  *                 type: boolean
  *     responses:
@@ -236,6 +722,8 @@ const {
  *                   $ref: '#/components/schemas/Product'
  *       400:
  *         description: Invalid input data
+ *       409:
+ *         description: The SKU, slug or GTIN is already used by another product
  */
 
 /**
@@ -251,9 +739,29 @@ const {
  *         schema:
  *           type: string
  *         description: Product ID
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: >
+ *           Add a displayPrice in this currency. The ETag is then weak, since it also depends on
+ *           the exchange rates, and cannot be used with If-Match.
+ *       - in: header
+ *         name: If-None-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read; returns 304 if the product is unchanged
  *     responses:
  *       200:
  *         description: Product found
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *           Accept-Patch:
+ *             description: The patch formats PATCH accepts
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
@@ -263,20 +771,33 @@ const {
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Product'
+ *       304:
+ *         description: Product unchanged since the ETag in If-None-Match
  *       404:
  *         description: Product not found
  *   put:
- *     summary: Update a product
+ *     summary: Replace a product (editor or admin)
+ *     description: >
+ *       Full replacement of the editable fields (name, sku, slug, gtin, description, price, priceList, category,
+ *       inStock, lowStockThreshold, options). Optional fields left out are reset to their defaults, except the
+ *       slug, which is kept; use PATCH to change only some fields. During a sale, `price` sets the regular price.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
  *         description: Product ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read; the request fails with 412 if the product has changed since
  *     requestBody:
  *       required: true
  *       content:
@@ -299,18 +820,110 @@ const {
  *         description: Invalid input data
  *       404:
  *         description: Product not found
+ *       409:
+ *         description: The SKU, slug or GTIN is already used by another product
+ *       412:
+ *         description: If-Match did not match the current product
+ *   patch:
+ *     summary: Partially update a product (editor or admin)
+ *     description: >
+ *       Send a JSON Merge Patch (RFC 7396) as `application/merge-patch+json` (or `application/json`), or a
+ *       JSON Patch (RFC 6902) as `application/json-patch+json`. Patches apply to the product as GET returns
+ *       it, so JSON Patch `test` operations can check any field, but only the editable fields listed for PUT
+ *       may change. The patched product is validated like a full replacement; if anything fails, nothing
+ *       is changed.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read; the request fails with 412 if the product has changed since
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             type: object
+ *           example:
+ *             description: Now with a longer battery life
+ *             lowStockThreshold: null
+ *         application/json-patch+json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *               required: [op, path]
+ *               properties:
+ *                 op:
+ *                   type: string
+ *                   enum: [add, remove, replace, move, copy, test]
+ *                 path:
+ *                   type: string
+ *                 from:
+ *                   type: string
+ *                 value: {}
+ *           example:
+ *             - op: test
+ *               path: /price/amount
+ *               value: 129900
+ *             - op: replace
+ *               path: /price/amount
+ *               value: 119900
+ *     responses:
+ *       200:
+ *         description: Product updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Malformed patch, a read-only field changed, or the patched product is invalid
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: A JSON Patch `test` operation failed, or the SKU, slug or GTIN is already used
+ *       412:
+ *         description: If-Match did not match the current product
+ *       415:
+ *         description: Unsupported patch format; see the Accept-Patch header
+ *       422:
+ *         description: A JSON Patch operation refers to a path that doesn't exist
  *   delete:
- *     summary: Delete a product
+ *     summary: Delete a product (admin only)
+ *     description: Moves the product to the trash. It is hidden from listings and can be undeleted or purged.
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *       - in: path
  *         name: id
  *         required: true
  *         schema:
  *           type: string
  *         description: Product ID
+ *       - in: header
+ *         name: If-Match
+ *         schema:
+ *           type: string
+ *         description: ETag from a previous read; the request fails with 412 if the product has changed since
  *     responses:
  *       200:
  *         description: Product deleted successfully
@@ -325,29 +938,1619 @@ const {
  *                   type: object
  *       404:
  *         description: Product not found
+ *       412:
+ *         description: If-Match did not match the current product
  */
 
 /**
  * @swagger
- * /api/products/stats:
+ * /api/products/sku/{sku}:
  *   get:
- *     summary: Get product statistics
+ *     summary: Get a product by SKU
+ *     description: Matches the product's own SKU, or else the SKU of one of its variants.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: sku
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Add a displayPrice in this currency, as for GET /api/products/{id}
+ *     responses:
+ *       200:
+ *         description: Product found, with an ETag as for GET /api/products/{id}
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: No product has this SKU
+ *
+ * /api/products/slug/{slug}:
+ *   get:
+ *     summary: Get a product by slug
  *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Add a displayPrice in this currency, as for GET /api/products/{id}
  *     responses:
  *       200:
- *         description: Product statistics
+ *         description: Product found, with an ETag as for GET /api/products/{id}
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ProductStats'
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       301:
+ *         description: The product's slug has changed; Location has the current URL
+ *       404:
+ *         description: No product has or had this slug
+ *
+ * /api/products/gtin/{gtin}:
+ *   get:
+ *     summary: Get a product by GTIN (barcode number)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: gtin
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *         description: Add a displayPrice in this currency, as for GET /api/products/{id}
+ *     responses:
+ *       200:
+ *         description: Product found, with an ETag as for GET /api/products/{id}
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       404:
+ *         description: No product has this GTIN
+ */
+
+/**
+ * @swagger
+ * /api/products/stats:
+ *   get:
+ *     summary: Get product statistics
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: >
+ *           Roll categories up to this depth of the tree (0 = top level). Without it, products
+ *           are grouped by their own category.
+ *     description: Accepts the same filters as GET /api/products, e.g. `?inStock=true&price[gte]=10000`.
+ *     responses:
+ *       200:
+ *         description: Product statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ProductStats'
+ *       400:
+ *         description: Invalid level or filter
+ */
+
+/**
+ * @swagger
+ * components:
+ *   parameters:
+ *     AnalyticsInterval:
+ *       in: query
+ *       name: interval
+ *       schema:
+ *         type: string
+ *         enum: [day, week, month]
+ *         default: day
+ *       description: Length of each period; weeks start on Monday and all periods are in UTC
+ *     AnalyticsFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: >
+ *         Start of the range, moved back to the start of its period. Defaults to 30 days, 12 weeks or
+ *         12 months before `to`; at most 366 periods.
+ *     AnalyticsTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: End of the range (exclusive); defaults to now
+ *     AnalyticsFormat:
+ *       in: query
+ *       name: format
+ *       schema:
+ *         type: string
+ *         enum: [json, csv]
+ *         default: json
+ *       description: csv downloads the figures as a spreadsheet-friendly table
+ *
+ * /api/products/analytics/prices:
+ *   get:
+ *     summary: Price distribution per category
+ *     description: >
+ *       Count, range, mean, percentiles and a histogram of product prices, overall and per category, in
+ *       minor units of the base currency. All histograms share the same bins. Products priced in a currency
+ *       without an exchange rate are left out. Accepts the same filters as GET /api/products. Results are
+ *       cached for `ANALYTICS_CACHE_SECONDS`.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: level
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Roll categories up to this depth of the tree (0 = top level)
+ *       - in: query
+ *         name: bins
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of histogram bins
+ *       - in: query
+ *         name: percentiles
+ *         schema:
+ *           type: string
+ *           default: '50,90'
+ *         description: Comma-separated percentiles to report, e.g. 50,90,99 (returned as p50, p90, p99)
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: Price distribution
+ *         headers:
+ *           ETag:
+ *             schema:
+ *               type: string
+ *           Cache-Control:
+ *             schema:
+ *               type: string
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 currency: USD
+ *                 overall:
+ *                   count: 42
+ *                   min: 1999
+ *                   max: 249900
+ *                   mean: 48213
+ *                   percentiles: { p50: 29900, p90: 129900 }
+ *                   histogram:
+ *                     - { from: 1999, to: 26790, count: 19 }
+ *                 byCategory:
+ *                   - slug: laptops
+ *                     name: Laptops
+ *                     count: 7
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Unchanged since the ETag in If-None-Match
+ *       400:
+ *         description: Invalid parameter or filter
+ *
+ * /api/products/analytics/activity:
+ *   get:
+ *     summary: Products created, updated and deleted per period
+ *     description: >
+ *       Counts, from the product history, of distinct products created, updated and deleted in each day,
+ *       week or month of the range. Accepts the same filters as GET /api/products, which select products by
+ *       their current state.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsInterval'
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: One entry per period, including empty ones
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 interval: week
+ *                 from: '2026-07-27T00:00:00.000Z'
+ *                 to: '2026-10-19T09:00:00.000Z'
+ *                 periods:
+ *                   - { period: '2026-07-27T00:00:00.000Z', created: 4, updated: 11, deleted: 0 }
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Unchanged since the ETag in If-None-Match
+ *       400:
+ *         description: Invalid range or filter
+ *
+ * /api/products/analytics/stock:
+ *   get:
+ *     summary: Stock-out ratio per period
+ *     description: >
+ *       Average number of products and of out-of-stock products per day in each period, and the share that
+ *       was out of stock, from daily per-category snapshots taken since the server first ran this version.
+ *       Periods without snapshots are null. Can be filtered by `category` only.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/AnalyticsInterval'
+ *       - $ref: '#/components/parameters/AnalyticsFrom'
+ *       - $ref: '#/components/parameters/AnalyticsTo'
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *         description: Category ids or slugs, comma-separated; subcategories are included
+ *       - $ref: '#/components/parameters/AnalyticsFormat'
+ *     responses:
+ *       200:
+ *         description: One entry per period
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               data:
+ *                 interval: month
+ *                 periods:
+ *                   - { period: '2026-09-01T00:00:00.000Z', products: 120.5, outOfStock: 9.2, stockOutRatio: 0.0763 }
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       304:
+ *         description: Unchanged since the ETag in If-None-Match
+ *       400:
+ *         description: Invalid range, or a filter other than category
+ */
+
+/**
+ * @swagger
+ * /api/products/search:
+ *   get:
+ *     summary: Full-text search across product names and descriptions
+ *     description: >
+ *       Results are ranked by relevance, with name matches weighted above description matches.
+ *       Words that don't appear in the catalog are also searched under their closest spellings
+ *       (listed in `corrections`). Accepts the same category, price and stock filters as
+ *       GET /api/products.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Search terms
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Ranked matches with facet counts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 query:
+ *                   type: string
+ *                 corrections:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   description: Suggested spellings for each unrecognised term
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 totalPages:
+ *                   type: integer
+ *                 facets:
+ *                   type: object
+ *                   properties:
+ *                     categories:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           value:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     priceRanges:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           min:
+ *                             type: integer
+ *                           max:
+ *                             type: integer
+ *                             nullable: true
+ *                           currency:
+ *                             type: string
+ *                           count:
+ *                             type: integer
+ *                     stockStatus:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           inStock:
+ *                             type: boolean
+ *                           count:
+ *                             type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Product'
+ *                       - type: object
+ *                         properties:
+ *                           score:
+ *                             type: number
+ *                             description: Relevance score
+ *                           highlights:
+ *                             type: object
+ *                             description: HTML-escaped name and description with matches wrapped in <em>
+ *                             properties:
+ *                               name:
+ *                                 type: string
+ *                               description:
+ *                                 type: string
+ *       400:
+ *         description: Missing search query
+ */
+
+/**
+ * @swagger
+ * /api/products/import:
+ *   post:
+ *     summary: Bulk import products from CSV or NDJSON (editor or admin)
+ *     description: >
+ *       Every row is validated against the Product schema. Valid rows are inserted and
+ *       invalid rows are reported with their line number and field. CSV uploads must
+ *       start with a header row naming the columns.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: Input format (defaults to the request Content-Type, then csv)
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate the upload without writing anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *           example: |
+ *             sku,name,description,price,currency,category,inStock
+ *             LAP-001,Laptop,A high-performance laptop,129999,USD,electronics,true
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *     responses:
+ *       200:
+ *         description: Import report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: False if any row failed
+ *                 dryRun:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                   description: Number of rows read
+ *                 valid:
+ *                   type: integer
+ *                   description: Number of rows that passed validation
+ *                 imported:
+ *                   type: integer
+ *                   description: Number of products written
+ *                 failed:
+ *                   type: integer
+ *                   description: Number of rows with at least one error
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Line number in the uploaded file
+ *                       field:
+ *                         type: string
+ *                         nullable: true
+ *                       message:
+ *                         type: string
+ *       400:
+ *         description: Unsupported format or unreadable body
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     BulkSelection:
+ *       type: object
+ *       description: Give either `ids` or `filter`. At most BULK_MAX_ITEMS (default 1000) products per request.
+ *       properties:
+ *         ids:
+ *           type: array
+ *           items:
+ *             type: string
+ *         filter:
+ *           type: object
+ *           description: >
+ *             Filters in the query syntax of GET /api/products, e.g.
+ *             `{ "category": "laptops", "price": { "gte": "100000" } }`
+ *         dryRun:
+ *           type: boolean
+ *           default: false
+ *           description: Validate and report the changes without writing anything
+ *         atomic:
+ *           type: boolean
+ *           default: false
+ *           description: >
+ *             All or nothing: apply every change in one transaction, rolled back if any product fails or
+ *             an id isn't found. Needs MongoDB to run as a replica set.
+ *     BulkReport:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           description: False if any product failed or wasn't found, or the transaction was rolled back
+ *         dryRun:
+ *           type: boolean
+ *         atomic:
+ *           type: boolean
+ *         committed:
+ *           type: boolean
+ *           description: Whether the changes were written
+ *         matched:
+ *           type: integer
+ *         counts:
+ *           type: object
+ *           additionalProperties:
+ *             type: integer
+ *           description: Number of results per status
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               id:
+ *                 type: string
+ *               status:
+ *                 type: string
+ *                 enum: [updated, unchanged, deleted, failed, not_found, rolled_back]
+ *               changes:
+ *                 type: array
+ *                 description: Field-level changes, as in the product history
+ *                 items:
+ *                   type: object
+ *               error:
+ *                 type: object
+ *                 description: Why this product failed, with the fields of a problem document
+ *                 properties:
+ *                   status:
+ *                     type: integer
+ *                   code:
+ *                     type: string
+ *                   detail:
+ *                     type: string
+ *                   errors:
+ *                     type: array
+ *                     items:
+ *                       type: object
+ *
+ * /api/products/bulk/update:
+ *   post:
+ *     summary: Update many products at once (editor or admin)
+ *     description: >
+ *       Applies one patch to every selected product. `price` is a relative change: `{ "percent": -15 }`
+ *       scales the regular price, variant prices and price list, and `{ "amount": -500, "currency": "USD" }`
+ *       adds minor units to the regular and variant prices of products priced in that currency. Running
+ *       sales keep their price. Each product is saved, versioned and announced to webhooks as with
+ *       PUT /api/products/{id}.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/BulkSelection'
+ *               - type: object
+ *                 required: [patch]
+ *                 properties:
+ *                   patch:
+ *                     type: object
+ *                     properties:
+ *                       price:
+ *                         type: object
+ *                         properties:
+ *                           percent:
+ *                             type: number
+ *                           amount:
+ *                             type: integer
+ *                           currency:
+ *                             type: string
+ *                       inStock:
+ *                         type: boolean
+ *                         description: Fails for products whose stock is tracked or that have variants
+ *                       lowStockThreshold:
+ *                         type: integer
+ *                       category:
+ *                         type: string
+ *                         description: Category id or slug
+ *           example:
+ *             filter:
+ *               category: laptops
+ *             patch:
+ *               price:
+ *                 percent: -15
+ *             dryRun: true
+ *     responses:
+ *       200:
+ *         description: Per-product report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkReport'
+ *       400:
+ *         description: Invalid selection or patch, or more products selected than allowed
+ *       501:
+ *         description: Atomic mode requested but MongoDB doesn't support transactions
+ *
+ * /api/products/bulk/delete:
+ *   post:
+ *     summary: Move many products to the trash (admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkSelection'
+ *           example:
+ *             ids: [65f1c0a2b4d5e6f708091a2b, 65f1c0a2b4d5e6f708091a2c]
+ *             atomic: true
+ *     responses:
+ *       200:
+ *         description: Per-product report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/BulkReport'
+ *       400:
+ *         description: Invalid selection, or more products selected than allowed
+ *       501:
+ *         description: Atomic mode requested but MongoDB doesn't support transactions
+ */
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Export products as CSV or NDJSON (admin)
+ *     description: Accepts the same filters as GET /api/products and streams every match.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: inStock
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: minPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: maxPrice
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -createdAt
+ *     responses:
+ *       200:
+ *         description: Product file download
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProductHistoryEntry:
+ *       type: object
+ *       properties:
+ *         product:
+ *           type: string
+ *           description: ID of the product this entry belongs to
+ *         version:
+ *           type: integer
+ *           description: Sequential version number, starting at 1
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete, restore, purge]
+ *         actor:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             type:
+ *               type: string
+ *               enum: [user, apiKey, system]
+ *         snapshot:
+ *           type: object
+ *           description: Product state after the change (for deletes, the state before removal)
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *               from: {}
+ *               to: {}
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/history:
+ *   get:
+ *     summary: Get the versioned change history of a product
+ *     description: Available for deleted products too.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: History entries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductHistoryEntry'
+ *       404:
+ *         description: No history for this product
+ *
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore a product to a previous version (editor or admin)
+ *     description: Recreates the product with its original ID if it has been deleted.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: version
+ *         schema:
+ *           type: integer
+ *         description: Version to restore (defaults to the latest recorded version)
+ *     responses:
+ *       200:
+ *         description: Product restored
+ *       404:
+ *         description: Version not found
+ *       409:
+ *         description: The version's category no longer exists, or it lacks variants that still hold stock
+ */
+
+/**
+ * @swagger
+ * /api/products/trash:
+ *   get:
+ *     summary: List deleted products (editor or admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: -deletedAt
+ *     responses:
+ *       200:
+ *         description: Deleted products with pagination info
+ *
+ * /api/products/{id}/undelete:
+ *   post:
+ *     summary: Move a product out of the trash (editor or admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product restored from the trash
+ *       404:
+ *         description: No deleted product with this ID
+ *
+ * /api/products/{id}/purge:
+ *   delete:
+ *     summary: Permanently remove a deleted product (admin only)
+ *     description: >
+ *       Only products already in the trash can be purged. Trashed products are also purged
+ *       automatically after TRASH_RETENTION_DAYS when that is set. History entries are kept.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Product purged
+ *       404:
+ *         description: No deleted product with this ID
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/stock:
+ *   get:
+ *     summary: Get stock levels for a product
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Totals and per-warehouse stock levels
+ *       404:
+ *         description: Product not found
+ *
+ * /api/products/{id}/stock/movements:
+ *   get:
+ *     summary: Get the stock movement ledger for a product
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Filter by movement type (comma-separated)
+ *       - in: query
+ *         name: warehouse
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *   post:
+ *     summary: Record a stock movement (editor or admin)
+ *     description: >
+ *       Receives and returns add stock, sells remove it, and adjustments apply a signed
+ *       quantity. The first movement turns on inventory tracking for the product, after
+ *       which inStock is derived from available stock.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, quantity]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [receive, sell, adjust, return]
+ *               quantity:
+ *                 type: integer
+ *               warehouse:
+ *                 type: string
+ *                 default: default
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Movement recorded
+ *       409:
+ *         description: Not enough stock
+ *
+ * /api/products/{id}/reservations:
+ *   post:
+ *     summary: Reserve stock for a limited time (editor or admin)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [quantity]
+ *             properties:
+ *               quantity:
+ *                 type: integer
+ *               warehouse:
+ *                 type: string
+ *                 description: Defaults to the first warehouse with enough available stock
+ *               reference:
+ *                 type: string
+ *               ttlMinutes:
+ *                 type: integer
+ *                 default: 15
+ *     responses:
+ *       201:
+ *         description: Reservation created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       409:
+ *         description: Not enough available stock
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/variants:
+ *   get:
+ *     summary: List a product's variants and option definitions
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variants, with the product's options and price range
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Add a variant (editor or admin)
+ *     description: >
+ *       The variant must pick one allowed value for each of the product's options. Variant
+ *       changes are product updates: they bump the ETag, are recorded in the history and honor If-Match.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Variant'
+ *     responses:
+ *       201:
+ *         description: Variant created
+ *       400:
+ *         description: Invalid variant, e.g. an unknown option value or a duplicate combination
+ *       409:
+ *         description: SKU already in use
+ *       412:
+ *         description: If-Match does not match the current product
+ *
+ * /api/products/{id}/variants/{variantId}:
+ *   get:
+ *     summary: Get a variant
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The variant
+ *       404:
+ *         description: Product or variant not found
+ *   put:
+ *     summary: Replace a variant (editor or admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Variant'
+ *     responses:
+ *       200:
+ *         description: Variant updated
+ *       400:
+ *         description: Invalid variant
+ *       404:
+ *         description: Product or variant not found
+ *       409:
+ *         description: SKU already in use
+ *   delete:
+ *     summary: Remove a variant (editor or admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variant removed
+ *       404:
+ *         description: Product or variant not found
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/prices:
+ *   get:
+ *     summary: Price timeline of a product, newest first
+ *     description: >
+ *       One entry per change to the price, regular price or price list, whether made by an
+ *       editor or by a scheduled sale starting or ending. Each entry holds the pricing in
+ *       effect from `at` until the next entry.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Price changes
+ *       404:
+ *         description: No history for this product
+ *
+ * /api/products/{id}/sales:
+ *   get:
+ *     summary: List a product's sales
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sales by start date, with the regular price in `regularPrice`
+ *   post:
+ *     summary: Schedule a sale (editor or admin)
+ *     description: >
+ *       Between startsAt and endsAt the product's price is the sale price; the regular price
+ *       comes back automatically afterwards. Sales can't overlap and must be priced in the
+ *       product's currency.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Sale'
+ *     responses:
+ *       201:
+ *         description: Sale scheduled, or started if startsAt has passed
+ *       400:
+ *         description: Invalid dates, a different currency, or an overlap with another sale
+ *
+ * /api/products/{id}/sales/{saleId}:
+ *   delete:
+ *     summary: Cancel a sale (editor or admin)
+ *     description: A running sale ends immediately and the regular price is restored.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: saleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The cancelled sale
+ *       404:
+ *         description: Product or sale not found
+ *       409:
+ *         description: The sale has already ended or been cancelled
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/images:
+ *   get:
+ *     summary: List a product's images in display order
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The images
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProductImage'
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Upload images (editor or admin)
+ *     description: >
+ *       Up to 10 JPEG, PNG, WebP or GIF files per request (at most IMAGE_MAX_SIZE_MB each, default 5),
+ *       added after the existing images. A thumbnail is generated for each. If any file is
+ *       rejected, none are added. Image changes are product updates: they bump the ETag, are
+ *       recorded in the history and honor If-Match.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [images]
+ *             properties:
+ *               images:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: binary
+ *               alt:
+ *                 type: array
+ *                 description: Alt text, one field per file in the same order
+ *                 items:
+ *                   type: string
+ *               primary:
+ *                 type: boolean
+ *                 description: Make the first uploaded image the primary image
+ *     responses:
+ *       201:
+ *         description: The added images
+ *       400:
+ *         description: No files, a file that isn't a readable image of its declared type, or too many files
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: The product would have more than MAX_IMAGES_PER_PRODUCT images (default 20)
+ *       412:
+ *         description: If-Match does not match the current product
+ *       413:
+ *         description: A file is too large
+ *       415:
+ *         description: A file has an unsupported content type
+ *
+ * /api/products/{id}/images/order:
+ *   put:
+ *     summary: Reorder a product's images (editor or admin)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [order]
+ *             properties:
+ *               order:
+ *                 type: array
+ *                 description: Every image id of the product, in the new display order
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: The images in their new order
+ *       400:
+ *         description: order doesn't list each image exactly once
+ *       404:
+ *         description: Product not found
+ *
+ * /api/products/{id}/images/{imageId}:
+ *   put:
+ *     summary: Change an image's alt text or primary flag (editor or admin)
+ *     description: Fields left out are unchanged. Unflagging the primary image passes the flag to the first other image.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alt:
+ *                 type: string
+ *               primary:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: The updated image
+ *       404:
+ *         description: Product or image not found
+ *   delete:
+ *     summary: Remove an image and its files (editor or admin)
+ *     description: If it was the primary image, the first remaining image becomes primary.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: imageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Image removed
+ *       404:
+ *         description: Product or image not found
+ */
+
+/**
+ * @swagger
+ * /api/products/{id}/reviews:
+ *   get:
+ *     summary: List a product's approved reviews
+ *     tags: [Reviews]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: rating
+ *         description: Only reviews with this many stars
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, rating, -rating]
+ *           default: -createdAt
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of reviews, with the product's `rating` and `reviewCount`
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Review a product
+ *     description: >
+ *       Any signed-in user can review a product once. The review stays pending, and out of the
+ *       product's rating, until an editor or admin approves it.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       201:
+ *         description: Review submitted for moderation
+ *       400:
+ *         description: Invalid rating, title or text
+ *       403:
+ *         description: Called with an API key instead of a user account
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: You have already reviewed this product
  */
 
 // Apply routes
 router.get('/', getProducts);
 router.get('/stats', getProductStats);
+router.get('/analytics/prices', authenticate, getPriceAnalytics);
+router.get('/analytics/activity', authenticate, getActivityAnalytics);
+router.get('/analytics/stock', authenticate, getStockAnalytics);
+router.get('/search', searchProducts);
+router.post('/import', authenticate, authorize('editor', 'admin'), parseImportBody, idempotency, importProducts);
+router.get('/export', authenticate, authorize('admin'), exportProducts);
+router.post('/bulk/update', authenticate, authorize('editor', 'admin'), validateBulkUpdate, idempotency, bulkUpdateProducts);
+router.post('/bulk/delete', authenticate, authorize('admin'), validateBulkDelete, idempotency, bulkDeleteProducts);
+router.get('/trash', authenticate, authorize('editor', 'admin'), getTrash);
+router.get('/sku/:sku', getProductBySku);
+router.get('/slug/:slug', getProductBySlug);
+router.get('/gtin/:gtin', getProductByGtin);
 router.get('/:id', getProductById);
-router.post('/', createProduct);
-router.put('/:id', updateProduct);
-router.delete('/:id', deleteProduct);
+router.get('/:id/history', authenticate, getProductHistory);
+router.get('/:id/stock', authenticate, getStock);
+router.get('/:id/stock/movements', authenticate, getStockMovements);
+router.post('/:id/stock/movements', authenticate, authorize('editor', 'admin'), validateStockMovement, idempotency, createStockMovement);
+router.post('/:id/reservations', authenticate, authorize('editor', 'admin'), validateReservation, idempotency, createReservation);
+router.get('/:id/prices', getPriceHistory);
+router.get('/:id/sales', getSales);
+router.post('/:id/sales', authenticate, authorize('editor', 'admin'), validateSale, idempotency, createSale);
+router.delete('/:id/sales/:saleId', authenticate, authorize('editor', 'admin'), idempotency, cancelSale);
+router.get('/:id/images', getImages);
+router.post('/:id/images', authenticate, authorize('editor', 'admin'), parseImageUpload, validateImageUpload, idempotency, uploadImages);
+router.put('/:id/images/order', authenticate, authorize('editor', 'admin'), validateImageOrder, idempotency, reorderImages);
+router.put('/:id/images/:imageId', authenticate, authorize('editor', 'admin'), validateImage, idempotency, updateImage);
+router.delete('/:id/images/:imageId', authenticate, authorize('editor', 'admin'), idempotency, deleteImage);
+router.get('/:id/reviews', getProductReviews);
+router.post('/:id/reviews', authenticate, validateReview, idempotency, createReview);
+router.get('/:id/variants', getVariants);
+router.get('/:id/variants/:variantId', getVariant);
+router.post('/:id/variants', authenticate, authorize('editor', 'admin'), validateVariant, idempotency, createVariant);
+router.put('/:id/variants/:variantId', authenticate, authorize('editor', 'admin'), validateVariant, idempotency, updateVariant);
+router.delete('/:id/variants/:variantId', authenticate, authorize('editor', 'admin'), idempotency, deleteVariant);
+router.post('/:id/restore', authenticate, authorize('editor', 'admin'), idempotency, restoreProduct);
+router.post('/', authenticate, authorize('editor', 'admin'), validateProduct, idempotency, createProduct);
+router.put('/:id', authenticate, authorize('editor', 'admin'), validateProduct, idempotency, updateProduct);
+router.patch('/:id', authenticate, authorize('editor', 'admin'), parsePatchBody, idempotency, patchProduct);
+router.delete('/:id', authenticate, authorize('admin'), idempotency, deleteProduct);
+router.post('/:id/undelete', authenticate, authorize('editor', 'admin'), idempotency, undeleteProduct);
+router.delete('/:id/purge', authenticate, authorize('admin'), idempotency, purgeProduct);
 
 module.exports = router;
\ No newline at end of file
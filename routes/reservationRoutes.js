@@ -0,0 +1,98 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReservation,
+  releaseReservation,
+  commitReservation
+} = require('../controllers/inventoryController');
+const { authenticate, authorize } = require('../middleware/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Inventory
+ *   description: Stock levels, movements and reservations
+ */
+
+/**
+ * @swagger
+ * /api/reservations/{id}:
+ *   get:
+ *     summary: Get a reservation
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Reservation'
+ *       404:
+ *         description: Reservation not found
+ *   delete:
+ *     summary: Release a reservation and return its stock (editor or admin)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reservation released
+ *       409:
+ *         description: Reservation is no longer active
+ *
+ * /api/reservations/{id}/commit:
+ *   post:
+ *     summary: Commit a reservation as a sale (editor or admin)
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Reservation committed and a sell movement recorded
+ *       409:
+ *         description: Reservation is no longer active
+ */
+
+router.use(authenticate);
+
+router.get('/:id', getReservation);
+router.delete('/:id', authorize('editor', 'admin'), releaseReservation);
+router.post('/:id/commit', authorize('editor', 'admin'), commitReservation);
+
+module.exports = router;
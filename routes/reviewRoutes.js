@@ -0,0 +1,240 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getReviews,
+  getReview,
+  updateReview,
+  moderateReview,
+  deleteReview
+} = require('../controllers/reviewController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateReview, validateReviewStatus } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Review:
+ *       type: object
+ *       required:
+ *         - rating
+ *         - body
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         product:
+ *           type: string
+ *           readOnly: true
+ *         author:
+ *           type: object
+ *           readOnly: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         rating:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 5
+ *         title:
+ *           type: string
+ *           maxLength: 100
+ *         body:
+ *           type: string
+ *           maxLength: 2000
+ *         status:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           readOnly: true
+ *           description: Only approved reviews are public and count towards the product's rating
+ *         moderation:
+ *           type: object
+ *           readOnly: true
+ *           description: Last moderation decision
+ *           properties:
+ *             by:
+ *               type: object
+ *             at:
+ *               type: string
+ *               format: date-time
+ *             note:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           readOnly: true
+ *       example:
+ *         rating: 4
+ *         title: Fast and quiet
+ *         body: Boots in seconds and the fans are barely audible. Battery could be better.
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Reviews
+ *   description: >
+ *     Customer reviews. New and edited reviews wait for an editor or admin to approve them;
+ *     each product's `rating` and `reviewCount` reflect its approved reviews.
+ */
+
+/**
+ * @swagger
+ * /api/reviews:
+ *   get:
+ *     summary: List reviews across products, e.g. the moderation queue (editor or admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *       - in: query
+ *         name: product
+ *         description: Only reviews of this product
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, -createdAt, rating, -rating]
+ *           default: -createdAt
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: A page of reviews
+ *       400:
+ *         description: Invalid query parameters
+ *
+ * /api/reviews/{id}:
+ *   get:
+ *     summary: Get a review
+ *     description: Pending and rejected reviews are only visible to their author, editors and admins.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Review'
+ *       404:
+ *         description: Review not found
+ *   put:
+ *     summary: Rewrite your own review
+ *     description: The review goes back to pending until a moderator approves it again.
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Review'
+ *     responses:
+ *       200:
+ *         description: Review updated
+ *       403:
+ *         description: Not the author
+ *       404:
+ *         description: Review not found
+ *   delete:
+ *     summary: Delete a review (author, editor or admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Review deleted
+ *       403:
+ *         description: Neither the author nor a moderator
+ *       404:
+ *         description: Review not found
+ *
+ * /api/reviews/{id}/status:
+ *   put:
+ *     summary: Approve or reject a review (editor or admin)
+ *     tags: [Reviews]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [pending, approved, rejected]
+ *               note:
+ *                 type: string
+ *                 description: Reason for the decision, e.g. why a review was rejected
+ *     responses:
+ *       200:
+ *         description: Review moderated; the product's rating is updated
+ *       404:
+ *         description: Review not found
+ */
+
+router.use(authenticate);
+
+router.get('/', authorize('editor', 'admin'), getReviews);
+router.get('/:id', getReview);
+router.put('/:id', validateReview, updateReview);
+router.put('/:id/status', authorize('editor', 'admin'), validateReviewStatus, moderateReview);
+router.delete('/:id', deleteReview);
+
+module.exports = router;
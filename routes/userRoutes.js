@@ -0,0 +1,78 @@
+const express = require('express');
+const router = express.Router();
+const { getUsers, updateUserRole } = require('../controllers/userController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateRole } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: User administration
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List all users
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: List of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Admin role required
+ *
+ * /api/users/{id}/role:
+ *   put:
+ *     summary: Change a user's role
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [viewer, editor, admin]
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User not found
+ */
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', getUsers);
+router.put('/:id/role', validateRole, updateUserRole);
+
+module.exports = router;
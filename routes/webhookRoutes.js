@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  getDeliveries,
+  redeliver
+} = require('../controllers/webhookController');
+const { authenticate, authorize } = require('../middleware/auth');
+const { validateWebhook } = require('../middleware/validation');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         url:
+ *           type: string
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [product.created, product.updated, product.repriced, product.out_of_stock, product.low_stock, product.deleted, '*']
+ *         active:
+ *           type: boolean
+ *
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         webhook:
+ *           type: string
+ *         event:
+ *           type: string
+ *         payload:
+ *           type: object
+ *           description: The JSON body sent to the subscriber
+ *         status:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         attempts:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ *               durationMs:
+ *                 type: integer
+ */
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: >
+ *     Outgoing notifications for product events. Each delivery is a JSON POST signed with
+ *     the subscription secret: X-Webhook-Signature is "t=<unix time>,v1=<hex HMAC-SHA256 of
+ *     '<t>.<body>'>". Failed deliveries are retried with exponential backoff.
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook subscriptions
+ *   post:
+ *     summary: Subscribe a URL to product events
+ *     description: The response includes the signing secret, which is not shown again.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Subscription created
+ *
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The subscription
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ *   put:
+ *     summary: Update a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Webhook'
+ *     responses:
+ *       200:
+ *         description: Subscription updated
+ *   delete:
+ *     summary: Remove a webhook subscription
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ *
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get the delivery log for a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery attempted; see the latest entry in attempts
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: An attempt is in flight or a retry is already scheduled
+ */
+
+router.use(authenticate, authorize('admin'));
+
+router.get('/', getWebhooks);
+router.post('/', validateWebhook, createWebhook);
+router.get('/:id', getWebhook);
+router.put('/:id', validateWebhook, updateWebhook);
+router.delete('/:id', deleteWebhook);
+router.get('/:id/deliveries', getDeliveries);
+router.post('/:id/deliveries/:deliveryId/redeliver', redeliver);
+
+module.exports = router;
@@ -1,344 +1,175 @@
-// server.js - Express.js RESTful API for Product Management
+// server.js - Process lifecycle for the Product Management API: connects to MongoDB, starts the
+// background jobs, listens, and shuts down gracefully. `node server.js` starts everything;
+// requiring this file only exports the app with start() and stop(), e.g. for tests.
 
-// Import required modules
 require('dotenv').config();
-const express = require('express');
-const { body, validationResult } = require('express-validator');
-const morgan = require('morgan');
-const cors = require('cors');
 const mongoose = require('mongoose');
-const { StatusCodes } = require('http-status-codes');
+const app = require('./app');
+const { connectDB, disconnectDB } = require('./config/db');
+const { instrumentDatabase } = require('./services/metrics');
+const { migrateCategories } = require('./jobs/migrateCategories');
+const { migratePrices } = require('./jobs/migratePrices');
+const { migrateRatings } = require('./jobs/migrateRatings');
+const { migrateIdentifiers } = require('./jobs/migrateIdentifiers');
+const { scheduleSales } = require('./jobs/applySales');
+const { scheduleTrashPurge } = require('./jobs/purgeTrash');
+const { scheduleReservationExpiry } = require('./jobs/expireReservations');
+const { scheduleWebhookRetries } = require('./jobs/deliverWebhooks');
+const { scheduleStockSnapshots } = require('./jobs/recordStockSnapshots');
+const logger = require('./utils/logger');
 
-// Initialize Express app
-const app = express();
 const PORT = process.env.PORT || 3000;
-
-// Connect to MongoDB
-mongoose.connect(process.env.MONGO_URI || 'mongodb://localhost:27017/productsDB')
-  .then(() => console.log('MongoDB connected'))
-  .catch(err => console.error('MongoDB connection error:', err));
-
-// Middleware
-app.use(cors());
-app.use(express.json());
-app.use(morgan('dev'));
-
-// Custom error classes
-class NotFoundError extends Error {
-  constructor(message = 'Resource not found') {
-    super(message);
-    this.name = 'NotFoundError';
-    this.statusCode = StatusCodes.NOT_FOUND;
-  }
-}
-
-class ValidationError extends Error {
-  constructor(message = 'Validation failed', errors = []) {
-    super(message);
-    this.name = 'ValidationError';
-    this.statusCode = StatusCodes.BAD_REQUEST;
-    this.errors = errors;
-  }
-}
-
-// Authentication middleware
-const authenticate = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  if (!apiKey || apiKey !== process.env.API_KEY) {
-    return res.status(StatusCodes.UNAUTHORIZED).json({
-      success: false,
-      message: 'Invalid or missing API key'
-    });
-  }
-  next();
+// How long in-flight requests get to finish on shutdown before their connections are cut
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS || 10 * 1000);
+
+let server = null;
+let jobTimers = [];
+let connecting = null;
+
+// Migrations run in the background; the jobs' timers are kept so stop() can cancel them
+const startJobs = () => {
+  migrateCategories().catch(err => logger.error('Category migration failed', { err }));
+  migrateRatings().catch(err => logger.error('Rating migration failed', { err }));
+  migrateIdentifiers().catch(err => logger.error('Identifier migration failed', { err }));
+  // Sales can only be applied once prices are in the new format
+  migratePrices()
+    .then(() => {
+      if (mongoose.connection.readyState === 1) jobTimers.push(scheduleSales());
+    })
+    .catch(err => logger.error('Price migration failed', { err }));
+  jobTimers.push(scheduleTrashPurge(), scheduleReservationExpiry(), scheduleWebhookRetries(), scheduleStockSnapshots());
 };
 
-// Validation middleware
-const validateProduct = [
-  body('name').notEmpty().withMessage('Name is required'),
-  body('description').notEmpty().withMessage('Description is required'),
-  body('price').isNumeric().withMessage('Price must be a number'),
-  body('category').notEmpty().withMessage('Category is required'),
-  body('inStock').optional().isBoolean().withMessage('inStock must be a boolean'),
-  (req, res, next) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        errors: errors.array()
-      });
-    }
-    next();
-  }
-];
-
-// Product Model
-const productSchema = new mongoose.Schema({
-  name: {
-    type: String,
-    required: [true, 'Name is required'],
-    trim: true,
-    maxlength: [100, 'Name cannot be more than 100 characters']
-  },
-  description: {
-    type: String,
-    required: [true, 'Description is required'],
-    trim: true,
-    maxlength: [1000, 'Description cannot be more than 1000 characters']
-  },
-  price: {
-    type: Number,
-    required: [true, 'Price is required'],
-    min: [0, 'Price must be a positive number']
-  },
-  category: {
-    type: String,
-    required: [true, 'Category is required'],
-    enum: {
-      values: ['electronics', 'clothing', 'home', 'kitchen', 'sports', 'other'],
-      message: '{VALUE} is not a valid category'
-    },
-    lowercase: true
-  },
-  inStock: {
-    type: Boolean,
-    default: true
-  }
-}, {
-  timestamps: true
-});
-
-const Product = mongoose.model('Product', productSchema);
-
-// Routes
-app.get('/', (req, res) => {
-  res.send('Welcome to the Product API! Go to /api/products to see all products.');
-});
-
-// Get all products with filtering and pagination
-app.get('/api/products', async (req, res, next) => {
-  try {
-    const { category, inStock, search, page = 1, limit = 10, sort = '-createdAt' } = req.query;
-    
-    // Build query
-    const query = {};
-    
-    // Filter by category
-    if (category) {
-      query.category = category;
-    }
-    
-    // Filter by inStock status
-    if (inStock === 'true' || inStock === 'false') {
-      query.inStock = inStock === 'true';
-    }
-    
-    // Search by name or description
-    if (search) {
-      query.$or = [
-        { name: { $regex: search, $options: 'i' } },
-        { description: { $regex: search, $options: 'i' } }
-      ];
-    }
-    
-    // Execute query with pagination
-    const total = await Product.countDocuments(query);
-    const products = await Product.find(query)
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-    
-    // Return response with pagination metadata
-    res.json({
-      success: true,
-      total,
-      totalPages: Math.ceil(total / limit),
-      currentPage: page,
-      data: products
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Get product by ID
-app.get('/api/products/:id', async (req, res, next) => {
-  try {
-    const product = await Product.findById(req.params.id);
-    if (!product) {
-      throw new NotFoundError('Product not found');
-    }
-    res.json({
-      success: true,
-      data: product
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-// Create a new product (protected by authentication)
-app.post('/api/products', authenticate, validateProduct, async (req, res, next) => {
-  try {
-    const product = new Product(req.body);
-    await product.save();
-    res.status(StatusCodes.CREATED).json({
-      success: true,
-      data: product
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+const stopJobs = () => {
+  jobTimers.forEach(timer => clearInterval(timer));
+  jobTimers = [];
+};
 
-// Update a product (protected by authentication)
-app.put('/api/products/:id', authenticate, validateProduct, async (req, res, next) => {
-  try {
-    const product = await Product.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: Date.now() },
-      { new: true, runValidators: true }
-    );
-    
-    if (!product) {
-      throw new NotFoundError('Product not found');
-    }
-    
-    res.json({
-      success: true,
-      data: product
-    });
-  } catch (error) {
-    next(error);
+// Connect to MongoDB (retrying with backoff), start the background jobs, then start listening.
+// Resolves with the http.Server; pass port 0 for a random free port.
+const start = async ({ port = PORT } = {}) => {
+  // Tokens can't be signed or verified without it, so don't come up half-working
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set');
   }
-});
+  
+  connecting = new AbortController();
+  await connectDB({ signal: connecting.signal });
+  connecting = null;
+  instrumentDatabase(mongoose.connection.getClient());
+  startJobs();
+  
+  server = await new Promise((resolve, reject) => {
+    const listening = app.listen(port, () => resolve(listening));
+    listening.once('error', reject);
+  });
+  app.locals.shuttingDown = false;
+  
+  const { port: boundPort } = server.address();
+  logger.info('Server is running', { url: `http://localhost:${boundPort}`, environment: process.env.NODE_ENV || 'development' });
+  logger.debug('Available endpoints', {
+    endpoints: [
+      'GET    /api/products',
+      'GET    /api/products/:id, /api/products/sku/:sku, /api/products/slug/:slug, /api/products/gtin/:gtin',
+      'POST   /api/products (editor or admin)',
+      'PUT    /api/products/:id (editor or admin)',
+      'PATCH  /api/products/:id (editor or admin)',
+      'DELETE /api/products/:id (admin)',
+      'POST   /api/products/import (editor or admin)',
+      'GET    /api/products/export (admin)',
+      'POST   /api/auth/register | /login | /refresh | /logout',
+      'GET    /api/users, /api/api-keys, /api/webhooks (admin)',
+      'GET    /api/products/statistics',
+      'GET    /api/products/analytics/prices, /analytics/activity, /analytics/stock (requires authentication)',
+      'GET    /api/categories, /api/categories/tree, /api/categories/:ref',
+      'GET    /api/products/:id/prices, /api/products/:id/sales, /api/exchange-rates',
+      'GET    /api/products/:id/images, POST /api/products/:id/images (editor or admin)',
+      'GET    /api/products/:id/stock, POST /api/products/:id/stock/movements',
+      'POST   /api/products/:id/reservations, /api/reservations/:id/commit',
+      'GET    /api/products/:id/reviews, POST /api/products/:id/reviews, PUT /api/reviews/:id/status',
+      'GET    /api/products/search?q=<search term>',
+      'GET    /healthz, /readyz, /metrics'
+    ]
+  });
+  return server;
+};
 
-// Delete a product (protected by authentication)
-app.delete('/api/products/:id', authenticate, async (req, res, next) => {
-  try {
-    const product = await Product.findByIdAndDelete(req.params.id);
-    
-    if (!product) {
-      throw new NotFoundError('Product not found');
-    }
-    
-    res.status(StatusCodes.NO_CONTENT).send();
-  } catch (error) {
-    next(error);
-  }
+// Stop accepting connections and let in-flight requests finish; after `timeoutMs` the
+// remaining connections are closed. Resolves once the server is closed.
+const closeServer = (timeoutMs) => new Promise((resolve, reject) => {
+  const forceClose = setTimeout(() => {
+    logger.warn('Shutdown timeout reached; closing open connections', { timeoutMs });
+    server.closeAllConnections();
+  }, timeoutMs);
+  forceClose.unref();
+  
+  // Keep-alive connections would otherwise hold close() up once their requests finish
+  const closeIdle = setInterval(() => server.closeIdleConnections(), 250);
+  
+  server.close((err) => {
+    clearTimeout(forceClose);
+    clearInterval(closeIdle);
+    if (err) reject(err);
+    else resolve();
+  });
+  server.closeIdleConnections();
 });
 
-// Get product statistics
-app.get('/api/products/statistics', async (req, res, next) => {
-  try {
-    const stats = await Product.aggregate([
-      {
-        $group: {
-          _id: '$category',
-          count: { $sum: 1 },
-          avgPrice: { $avg: '$price' },
-          minPrice: { $min: '$price' },
-          maxPrice: { $max: '$price' },
-          totalValue: { $sum: '$price' }
-        }
-      },
-      {
-        $sort: { _id: 1 }
-      }
-    ]);
-    
-    const totalProducts = await Product.countDocuments();
-    const inStockCount = await Product.countDocuments({ inStock: true });
-    
-    res.json({
-      success: true,
-      data: {
-        totalProducts,
-        inStock: inStockCount,
-        outOfStock: totalProducts - inStockCount,
-        byCategory: stats
-      }
-    });
-  } catch (error) {
-    next(error);
+// Drain the server, stop the background jobs and close the MongoDB connection. Readiness
+// reports 503 from the start so load balancers stop sending traffic.
+const stop = async ({ timeoutMs = SHUTDOWN_TIMEOUT_MS } = {}) => {
+  app.locals.shuttingDown = true;
+  if (connecting) connecting.abort();
+  stopJobs();
+  
+  if (server) {
+    await closeServer(timeoutMs);
+    server = null;
   }
-});
+  await disconnectDB();
+};
 
-// Search products by name or description
-app.get('/api/products/search', async (req, res, next) => {
-  try {
-    const { q } = req.query;
+// Entry point for `node server.js`: start, and shut down on SIGTERM/SIGINT or a crash
+const main = () => {
+  let stopping = false;
+  
+  const shutdown = (reason, exitCode) => {
+    if (stopping) return;
+    stopping = true;
+    logger.info('Shutting down', { reason });
     
-    if (!q) {
-      return res.status(StatusCodes.BAD_REQUEST).json({
-        success: false,
-        message: 'Search query parameter "q" is required'
+    // In case closing the database connection hangs too
+    setTimeout(() => process.exit(1), SHUTDOWN_TIMEOUT_MS + 5000).unref();
+    stop()
+      .then(() => process.exit(exitCode))
+      .catch((err) => {
+        logger.error('Shutdown failed', { err });
+        process.exit(1);
       });
-    }
-    
-    const products = await Product.find({
-      $or: [
-        { name: { $regex: q, $options: 'i' } },
-        { description: { $regex: q, $options: 'i' } }
-      ]
-    });
-    
-    res.json({
-      success: true,
-      count: products.length,
-      data: products
-    });
-  } catch (error) {
-    next(error);
-  }
-});
-
-// 404 handler
-app.use((req, res, next) => {
-  throw new NotFoundError('Endpoint not found');
-});
-
-// Error handling middleware
-app.use((err, req, res, next) => {
-  console.error(err.stack);
+  };
   
-  // Default to 500 server error
-  const statusCode = err.statusCode || StatusCodes.INTERNAL_SERVER_ERROR;
-  const message = err.message || 'Internal Server Error';
+  process.on('SIGTERM', () => shutdown('SIGTERM', 0));
+  process.on('SIGINT', () => shutdown('SIGINT', 0));
   
-  res.status(statusCode).json({
-    success: false,
-    message,
-    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (err) => {
+    logger.error('Unhandled rejection', { err });
+    shutdown('unhandledRejection', 1);
   });
-});
-
-// Start the server
-app.listen(PORT, () => {
-  console.log(`Server is running on http://localhost:${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('Available endpoints:');
-  console.log(`  GET    /api/products`);
-  console.log(`  GET    /api/products/:id`);
-  console.log(`  POST   /api/products (requires authentication)`);
-  console.log(`  PUT    /api/products/:id (requires authentication)`);
-  console.log(`  DELETE /api/products/:id (requires authentication)`);
-  console.log(`  GET    /api/products/statistics`);
-  console.log(`  GET    /api/products/search?q=<search term>`);
-});
-
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err) => {
-  console.error('Unhandled Rejection:', err);
-  server.close(() => process.exit(1));
-});
+  
+  // Handle uncaught exceptions
+  process.on('uncaughtException', (err) => {
+    logger.error('Uncaught exception', { err });
+    shutdown('uncaughtException', 1);
+  });
+  
+  start().catch((err) => {
+    if (stopping) return;
+    logger.error('Startup failed', { err });
+    process.exit(1);
+  });
+};
 
-// Handle uncaught exceptions
-process.on('uncaughtException', (err) => {
-  console.error('Uncaught Exception:', err);
-  server.close(() => process.exit(1));
-});
+if (require.main === module) main();
 
-// Export the app for testing purposes
-module.exports = { app, server };
\ No newline at end of file
+module.exports = { app, start, stop };
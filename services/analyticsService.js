@@ -0,0 +1,175 @@
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const Category = require('../models/Category');
+const { invalidQuery } = require('../utils/productQuery');
+
+// Query parameters of the analytics endpoints, skipped when the rest are read as product filters
+const ANALYTICS_PARAMS = ['level', 'interval', 'from', 'to', 'bins', 'percentiles'];
+
+const INTERVALS = ['day', 'week', 'month'];
+// Periods covered when the request doesn't give `from`, and the most a request may ask for
+const DEFAULT_PERIODS = { day: 30, week: 12, month: 12 };
+const MAX_PERIODS = 366;
+
+// ?level=N: roll categories up to their ancestor at depth N (0 = top level)
+const parseLevel = (level) => {
+  if (level === undefined) return undefined;
+  
+  const depth = Number(level);
+  if (!Number.isInteger(depth) || depth < 0) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'level must be a non-negative integer');
+  }
+  return depth;
+};
+
+// Aggregation stages that, for a given depth, make each product count towards its category's
+// ancestor at that depth. Products in shallower categories stay in their own category.
+const categoryRollUp = (depth) => (depth === undefined ? [] : [
+  {
+    $lookup: {
+      from: Category.collection.name,
+      localField: 'category',
+      foreignField: '_id',
+      as: 'categoryDoc'
+    }
+  },
+  {
+    $addFields: {
+      category: {
+        $let: {
+          vars: {
+            path: {
+              $concatArrays: [{ $ifNull: [{ $first: '$categoryDoc.ancestors' }, []] }, ['$category']]
+            }
+          },
+          in: {
+            $arrayElemAt: ['$$path', { $min: [depth, { $subtract: [{ $size: '$$path' }, 1] }] }]
+          }
+        }
+      }
+    }
+  }
+]);
+
+// Start of the day, week (from Monday) or month containing `date`, in UTC. Matches $dateTrunc.
+const startOfPeriod = (date, interval) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+  if (interval === 'week') start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+const nextPeriod = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'month') next.setUTCMonth(next.getUTCMonth() + 1);
+  else next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  return next;
+};
+
+// $dateTrunc expression grouping `field` into the same periods as startOfPeriod
+const periodExpression = (field, interval) => ({
+  $dateTrunc: { date: field, unit: interval, timezone: 'UTC', ...(interval === 'week' && { startOfWeek: 'monday' }) }
+});
+
+// Read ?interval=day|week|month&from=&to= into the start of each period in the range. `from` is
+// moved back to the start of its period; `to` (exclusive) defaults to now and `from` to
+// DEFAULT_PERIODS before it.
+const parseTimeRange = ({ interval = 'day', from, to }) => {
+  const errors = [];
+  if (!INTERVALS.includes(interval)) {
+    errors.push({ parameter: 'interval', message: `interval must be one of: ${INTERVALS.join(', ')}` });
+  }
+  const parseDate = (parameter, raw) => {
+    const date = new Date(raw);
+    if (typeof raw !== 'string' || Number.isNaN(date.getTime())) {
+      errors.push({ parameter, message: `'${parameter}' must be a valid date` });
+    }
+    return date;
+  };
+  const end = to === undefined ? new Date() : parseDate('to', to);
+  let start = from === undefined ? undefined : parseDate('from', from);
+  if (errors.length) throw invalidQuery(errors);
+  
+  if (!start) {
+    start = startOfPeriod(end, interval);
+    for (let i = 1; i < DEFAULT_PERIODS[interval]; i += 1) {
+      start = startOfPeriod(new Date(start.getTime() - 1), interval);
+    }
+  }
+  start = startOfPeriod(start, interval);
+  if (start >= end) throw invalidQuery([{ parameter: 'from', message: "'from' must be before 'to'" }]);
+  
+  const periods = [];
+  for (let period = start; period < end; period = nextPeriod(period, interval)) {
+    periods.push(period);
+    if (periods.length > MAX_PERIODS) {
+      throw invalidQuery([{ parameter: 'from', message: `The range covers more than ${MAX_PERIODS} ${interval}s` }]);
+    }
+  }
+  return { interval, start, end, periods };
+};
+
+// ?bins=10&percentiles=50,90
+const parseDistributionParams = ({ bins = '10', percentiles = '50,90' }) => {
+  const errors = [];
+  const binCount = Number(bins);
+  if (!Number.isInteger(binCount) || binCount < 1 || binCount > 100) {
+    errors.push({ parameter: 'bins', message: 'bins must be an integer from 1 to 100' });
+  }
+  const ranks = typeof percentiles === 'string' ? percentiles.split(',').map(Number) : [NaN];
+  if (ranks.some(rank => Number.isNaN(rank) || rank < 0 || rank > 100)) {
+    errors.push({ parameter: 'percentiles', message: 'percentiles must be a comma-separated list of numbers from 0 to 100' });
+  }
+  if (errors.length) throw invalidQuery(errors);
+  
+  return { bins: binCount, percentiles: [...new Set(ranks)].sort((a, b) => a - b) };
+};
+
+// Percentile of sorted values, interpolating linearly between the closest ranks
+const percentile = (sorted, rank) => {
+  const position = (rank / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.min(lower + 1, sorted.length - 1);
+  return sorted[lower] + (position - lower) * (sorted[upper] - sorted[lower]);
+};
+
+// `count` equal-width bins of whole minor units covering min..max, as [{ from, to }] with `to`
+// exclusive
+const histogramBins = (min, max, count) => {
+  const width = Math.max(1, Math.ceil((max - min + 1) / count));
+  return Array.from({ length: count }, (_, index) => ({ from: min + index * width, to: min + (index + 1) * width }))
+    .filter(({ from }) => from <= max);
+};
+
+// Count, range, mean, percentiles and histogram (over shared `bins`) of amounts in minor units
+const describeAmounts = (amounts, { percentiles, bins }) => {
+  const sorted = [...amounts].sort((a, b) => a - b);
+  const counts = bins.map(() => 0);
+  sorted.forEach(amount => {
+    const index = bins.findIndex(({ from, to }) => amount >= from && amount < to);
+    if (index !== -1) counts[index] += 1;
+  });
+  
+  return {
+    count: sorted.length,
+    min: sorted.length ? sorted[0] : null,
+    max: sorted.length ? sorted[sorted.length - 1] : null,
+    mean: sorted.length ? Math.round(sorted.reduce((sum, amount) => sum + amount, 0) / sorted.length) : null,
+    percentiles: Object.fromEntries(percentiles.map(rank => [
+      `p${rank}`,
+      sorted.length ? Math.round(percentile(sorted, rank)) : null
+    ])),
+    histogram: bins.map((bin, index) => ({ ...bin, count: counts[index] }))
+  };
+};
+
+module.exports = {
+  ANALYTICS_PARAMS,
+  parseLevel,
+  categoryRollUp,
+  startOfPeriod,
+  periodExpression,
+  parseTimeRange,
+  parseDistributionParams,
+  histogramBins,
+  describeAmounts
+};
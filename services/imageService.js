@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { getStorage } = require('./storage');
+const logger = require('../utils/logger');
+
+// Accepted upload types, with sharp's name for the format and the extension to store under
+const IMAGE_TYPES = {
+  'image/jpeg': { format: 'jpeg', extension: 'jpg' },
+  'image/png': { format: 'png', extension: 'png' },
+  'image/webp': { format: 'webp', extension: 'webp' },
+  'image/gif': { format: 'gif', extension: 'gif' }
+};
+
+const MAX_IMAGE_BYTES = (Number(process.env.IMAGE_MAX_SIZE_MB) || 5) * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 10;
+const MAX_IMAGES_PER_PRODUCT = Number(process.env.MAX_IMAGES_PER_PRODUCT) || 20;
+// Thumbnails fit in a THUMBNAIL_SIZE square and are always WebP
+const THUMBNAIL_SIZE = 320;
+
+// Check that an upload really is an image of the type it claims to be
+const inspectImage = async (file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (error) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `${file.originalname} is not a readable image`);
+  }
+  
+  if (metadata.format !== IMAGE_TYPES[file.mimetype].format) {
+    throw new ApiError(
+      StatusCodes.BAD_REQUEST,
+      `${file.originalname} was sent as ${file.mimetype} but contains ${metadata.format} data`
+    );
+  }
+  // Animated images report the height of all frames stacked
+  return { width: metadata.width, height: metadata.pageHeight || metadata.height };
+};
+
+// Delete the original and thumbnail of each image. Failures are logged rather than thrown:
+// by the time files are cleaned up, the change that orphaned them has already been saved.
+const removeImageFiles = async (images) => {
+  const storage = getStorage();
+  const keys = images.flatMap(image => [image.key, image.thumbnailKey]).filter(Boolean);
+  const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+  
+  results
+    .filter(result => result.status === 'rejected')
+    .forEach(result => logger.error('Failed to remove image file', { err: result.reason }));
+};
+
+// Validate the uploaded files, then write each one and its thumbnail to storage. Returns the
+// image entries to add to the product. Nothing is written unless every file is valid.
+const storeImages = async (product, files) => {
+  const dimensions = await Promise.all(files.map(inspectImage));
+  const storage = getStorage();
+  const images = [];
+  
+  try {
+    for (const [index, file] of files.entries()) {
+      const _id = new mongoose.Types.ObjectId();
+      const prefix = `products/${product._id}/${_id}`;
+      const image = {
+        _id,
+        key: `${prefix}.${IMAGE_TYPES[file.mimetype].extension}`,
+        thumbnailKey: `${prefix}-thumb.webp`,
+        filename: file.originalname,
+        contentType: file.mimetype,
+        size: file.size,
+        ...dimensions[index]
+      };
+      
+      const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .webp()
+        .toBuffer();
+      
+      images.push(image);
+      await storage.put(image.key, file.buffer, { contentType: file.mimetype });
+      await storage.put(image.thumbnailKey, thumbnail, { contentType: 'image/webp' });
+    }
+  } catch (error) {
+    await removeImageFiles(images);
+    throw error;
+  }
+  
+  return images;
+};
+
+module.exports = {
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  MAX_FILES_PER_UPLOAD,
+  MAX_IMAGES_PER_PRODUCT,
+  storeImages,
+  removeImageFiles
+};
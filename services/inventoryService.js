@@ -0,0 +1,190 @@
+const Product = require('../models/Product');
+const StockMovement = require('../models/StockMovement');
+const Reservation = require('../models/Reservation');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const toActor = require('../utils/actor');
+const { publishProductChanges } = require('./productEvents');
+
+const DEFAULT_WAREHOUSE = 'default';
+const MAX_ATTEMPTS = 3;
+
+// Movement types that add to stock; sells subtract and adjustments carry their own sign
+const INBOUND_TYPES = ['receive', 'return'];
+
+// Load a product, apply `mutate` and save it, retrying if a concurrent save wins the race.
+// Resolves to { product, result } where result is whatever `mutate` returned.
+// Publishes out-of-stock and low-stock events when the change crosses a threshold.
+const updateStock = async (productId, mutate, { withDeleted = false } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    const product = await Product.findById(productId).setOptions({ withDeleted });
+    
+    if (!product) {
+      throw new ApiError(StatusCodes.NOT_FOUND, `Product not found with id of ${productId}`);
+    }
+    
+    const before = {
+      price: product.price,
+      inStock: product.inStock,
+      quantity: product.quantity,
+      reserved: product.reserved
+    };
+    const result = mutate(product);
+    
+    try {
+      await product.save();
+      publishProductChanges(before, product);
+      return { product, result };
+    } catch (error) {
+      if (error.name !== 'VersionError' || attempt >= MAX_ATTEMPTS) throw error;
+    }
+  }
+};
+
+const findStockLine = (product, warehouse) => product.stock.find(line => line.warehouse === warehouse);
+
+const addStockLine = (product, warehouse) => {
+  product.stock.push({ warehouse });
+  return product.stock[product.stock.length - 1];
+};
+
+const insufficientStock = (warehouse, available) => new ApiError(
+  StatusCodes.CONFLICT,
+  `Insufficient stock in warehouse '${warehouse}' (${available} available)`
+);
+
+// Record a receive, sell, adjust or return. `quantity` is positive except for
+// adjustments, where it is the signed change to stock on hand.
+const recordMovement = async ({ productId, type, quantity, warehouse = DEFAULT_WAREHOUSE, reason, user, reservation }) => {
+  let delta = quantity;
+  if (type === 'sell') delta = -Math.abs(quantity);
+  if (INBOUND_TYPES.includes(type)) delta = Math.abs(quantity);
+  
+  const { product, result: line } = await updateStock(productId, (product) => {
+    product.trackInventory = true;
+    const line = findStockLine(product, warehouse) || addStockLine(product, warehouse);
+    
+    // Committing a reservation consumes the stock it was holding
+    if (reservation) {
+      line.reserved = Math.max(0, line.reserved - reservation.quantity);
+    } else if (type === 'sell' && -delta > line.onHand - line.reserved) {
+      throw insufficientStock(warehouse, line.onHand - line.reserved);
+    }
+    
+    if (line.onHand + delta < 0) {
+      throw new ApiError(
+        StatusCodes.CONFLICT,
+        `Stock on hand in warehouse '${warehouse}' cannot go below zero (currently ${line.onHand})`
+      );
+    }
+    
+    line.onHand += delta;
+    return { warehouse: line.warehouse, onHand: line.onHand };
+  });
+  
+  const movement = await StockMovement.create({
+    product: product._id,
+    warehouse: line.warehouse,
+    type,
+    quantity: delta,
+    balanceAfter: line.onHand,
+    reason,
+    reservation: reservation && reservation._id,
+    actor: toActor(user)
+  });
+  
+  return { product, movement };
+};
+
+// Hold stock for `ttlSeconds`. Without a warehouse, the first one with enough available stock is used.
+const reserveStock = async ({ productId, quantity, warehouse, ttlSeconds, reference, user }) => {
+  const { product, result: reservedFrom } = await updateStock(productId, (product) => {
+    const line = warehouse
+      ? findStockLine(product, warehouse)
+      : product.stock.find(candidate => candidate.onHand - candidate.reserved >= quantity);
+    
+    const available = line ? line.onHand - line.reserved : 0;
+    if (!product.trackInventory || available < quantity) {
+      throw insufficientStock(warehouse || 'any', available);
+    }
+    
+    line.reserved += quantity;
+    return line.warehouse;
+  });
+  
+  const reservation = await Reservation.create({
+    product: product._id,
+    warehouse: reservedFrom,
+    quantity,
+    reference,
+    expiresAt: new Date(Date.now() + ttlSeconds * 1000),
+    actor: toActor(user)
+  });
+  
+  return { product, reservation };
+};
+
+// Claim an active reservation by moving it to `status`, or fail with 404/409. Reservations
+// past their expiry can only be claimed by the expiry job, even before it has swept them.
+const claimReservation = async (reservationId, status) => {
+  const filter = { _id: reservationId, status: 'active' };
+  if (status !== 'expired') filter.expiresAt = { $gt: new Date() };
+  
+  const reservation = await Reservation.findOneAndUpdate(
+    filter,
+    { status },
+    { new: true }
+  );
+  
+  if (!reservation) {
+    const exists = await Reservation.exists({ _id: reservationId });
+    throw exists
+      ? new ApiError(StatusCodes.CONFLICT, 'Reservation is no longer active')
+      : new ApiError(StatusCodes.NOT_FOUND, `Reservation not found with id of ${reservationId}`);
+  }
+  
+  return reservation;
+};
+
+// Give reserved stock back. `status` is 'released' for explicit releases and 'expired' for timeouts.
+const releaseReservation = async (reservationId, status = 'released') => {
+  const reservation = await claimReservation(reservationId, status);
+  
+  await updateStock(reservation.product, (product) => {
+    const line = findStockLine(product, reservation.warehouse);
+    if (line) line.reserved = Math.max(0, line.reserved - reservation.quantity);
+  }, { withDeleted: true });
+  
+  return reservation;
+};
+
+// Turn a reservation into a sale
+const commitReservation = async (reservationId, { reason, user } = {}) => {
+  const reservation = await claimReservation(reservationId, 'committed');
+  
+  try {
+    const { product, movement } = await recordMovement({
+      productId: reservation.product,
+      type: 'sell',
+      quantity: reservation.quantity,
+      warehouse: reservation.warehouse,
+      reason: reason || `Committed reservation ${reservation.id}`,
+      user,
+      reservation
+    });
+    return { reservation, product, movement };
+  } catch (error) {
+    // Leave the reservation usable if the sale could not be recorded
+    reservation.status = 'active';
+    await reservation.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  DEFAULT_WAREHOUSE,
+  recordMovement,
+  reserveStock,
+  releaseReservation,
+  commitReservation
+};
@@ -0,0 +1,113 @@
+const client = require('prom-client');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const Category = require('../models/Category');
+const logger = require('../utils/logger');
+
+// Prometheus metrics, served as text by GET /metrics
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequestsTotal = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route pattern and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time from receiving an HTTP request to finishing its response',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const dbOperationDuration = new client.Histogram({
+  name: 'db_operation_duration_seconds',
+  help: 'MongoDB command round trips, by collection, command and outcome',
+  labelNames: ['collection', 'operation', 'outcome'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+  registers: [register]
+});
+
+// Counted when scraped, so the numbers are never stale. Soft-deleted products are left out.
+new client.Gauge({
+  name: 'catalog_products',
+  help: 'Products in the catalog, by category slug and stock status',
+  labelNames: ['category', 'stock_status'],
+  registers: [register],
+  async collect() {
+    this.reset();
+    // Don't hold the scrape up behind mongoose's command buffering while disconnected
+    if (mongoose.connection.readyState !== 1) return;
+    
+    try {
+      const groups = await Product.aggregate([
+        { $group: { _id: { category: '$category', inStock: '$inStock' }, count: { $sum: 1 } } },
+        {
+          $lookup: {
+            from: Category.collection.name,
+            localField: '_id.category',
+            foreignField: '_id',
+            as: 'category'
+          }
+        }
+      ]);
+      
+      groups.forEach(({ _id, category, count }) => {
+        this.set({
+          category: category.length ? category[0].slug : 'none',
+          stock_status: _id.inStock ? 'in_stock' : 'out_of_stock'
+        }, count);
+      });
+    } catch (error) {
+      logger.warn('Failed to count products for metrics', { err: error });
+    }
+  }
+});
+
+// Only data commands are timed; handshakes, heartbeats and auth are left out
+const DB_OPERATIONS = new Set([
+  'find', 'getMore', 'insert', 'update', 'delete', 'findAndModify',
+  'aggregate', 'count', 'distinct', 'createIndexes'
+]);
+
+const instrumentedClients = new WeakSet();
+
+// Time every command sent through the client. Needs the connection to be opened with
+// { monitorCommands: true }. Safe to call again for the same client, e.g. after a restart.
+const instrumentDatabase = (mongoClient) => {
+  if (instrumentedClients.has(mongoClient)) return;
+  instrumentedClients.add(mongoClient);
+  const pending = new Map();
+  
+  mongoClient.on('commandStarted', (event) => {
+    if (!DB_OPERATIONS.has(event.commandName)) return;
+    const collection = event.command[event.commandName];
+    pending.set(event.requestId, typeof collection === 'string' ? collection : event.command.collection || 'unknown');
+  });
+  
+  const finish = (outcome) => (event) => {
+    if (!pending.has(event.requestId)) return;
+    const collection = pending.get(event.requestId);
+    pending.delete(event.requestId);
+    dbOperationDuration.observe(
+      { collection, operation: event.commandName, outcome },
+      event.duration / 1000
+    );
+  };
+  
+  mongoClient.on('commandSucceeded', finish('success'));
+  mongoClient.on('commandFailed', finish('error'));
+};
+
+// Requests that matched no route share one label, so unknown URLs can't create new series
+const recordHttpRequest = ({ method, route, status, seconds }) => {
+  const labels = { method, route: route || 'unmatched', status: String(status) };
+  httpRequestsTotal.inc(labels);
+  httpRequestDuration.observe(labels, seconds);
+};
+
+module.exports = { register, instrumentDatabase, recordHttpRequest };
@@ -0,0 +1,89 @@
+const Product = require('../models/Product');
+const ProductHistory = require('../models/ProductHistory');
+const ExchangeRate = require('../models/ExchangeRate');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('../utils/ApiError');
+const { BASE_CURRENCY, isCurrency, minorDigits, convert } = require('../utils/money');
+const { recordProductUpdate } = require('./productEvents');
+
+const SYSTEM_ACTOR = { id: 'system', name: 'price-scheduler', type: 'system' };
+
+// A product's price in `currency`: its price-list entry if it has one, otherwise its
+// price converted at the configured rate. Null if there is no rate to convert with.
+const priceIn = (product, currency, rates) => {
+  // Not loaded, e.g. with a ?fields= projection
+  if (!product.price) return undefined;
+  
+  const listed = (product.priceList || []).find(entry => entry.currency === currency);
+  if (listed) return { amount: listed.amount, currency, source: 'priceList' };
+  
+  const converted = convert(product.price, currency, rates);
+  if (!converted) return null;
+  return { ...converted, source: product.price.currency === currency ? 'price' : 'converted' };
+};
+
+// Serialize products with a displayPrice in the requested currency
+const withDisplayPrices = async (products, currency) => {
+  const code = String(currency).toUpperCase();
+  if (!isCurrency(code)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, `'${currency}' is not an ISO 4217 currency code`);
+  }
+  
+  const rates = await ExchangeRate.getRates();
+  return products.map(product => ({
+    ...product.toJSON(),
+    displayPrice: priceIn(product, code, rates)
+  }));
+};
+
+// Aggregation expression for a product's price in minor units of BASE_CURRENCY;
+// null for currencies without an exchange rate
+const baseAmountExpression = (rates) => ({
+  $switch: {
+    branches: [[BASE_CURRENCY, 1], ...Object.entries(rates)].map(([currency, rate]) => ({
+      case: { $eq: ['$price.currency', currency] },
+      then: {
+        $round: [{
+          $multiply: ['$price.amount', 10 ** minorDigits(BASE_CURRENCY) / (rate * 10 ** minorDigits(currency))]
+        }, 0]
+      }
+    })),
+    default: null
+  }
+});
+
+// Start and end the sales that are due. Resolves to the number of products repriced.
+const applyDueSales = async (now = new Date()) => {
+  const products = await Product.find({
+    $or: [
+      { sales: { $elemMatch: { status: 'scheduled', startsAt: { $lte: now } } } },
+      { sales: { $elemMatch: { status: 'active', endsAt: { $lte: now } } } }
+    ]
+  });
+  let count = 0;
+  
+  for (const product of products) {
+    const before = ProductHistory.toSnapshot(product);
+    if (!product.applySales(now)) continue;
+    
+    try {
+      await product.save();
+    } catch (error) {
+      // Edited in the meantime; the next run picks it up again
+      if (error.name === 'VersionError') continue;
+      throw error;
+    }
+    
+    await recordProductUpdate(product, before, SYSTEM_ACTOR);
+    count++;
+  }
+  
+  return count;
+};
+
+module.exports = {
+  priceIn,
+  withDisplayPrices,
+  baseAmountExpression,
+  applyDueSales
+};
@@ -0,0 +1,62 @@
+const ProductHistory = require('../models/ProductHistory');
+const { publish } = require('./webhookService');
+const { moneyEquals } = require('../utils/money');
+
+// Stock level at or below which product.low_stock fires; per product or LOW_STOCK_THRESHOLD
+const lowStockThreshold = (product) => {
+  if (product.lowStockThreshold !== undefined && product.lowStockThreshold !== null) {
+    return product.lowStockThreshold;
+  }
+  return process.env.LOW_STOCK_THRESHOLD ? Number(process.env.LOW_STOCK_THRESHOLD) : null;
+};
+
+const available = (state) => (state.quantity || 0) - (state.reserved || 0);
+
+// The previous values included in change events, so subscribers can see what moved
+const previousState = (before) => ({
+  price: before.price,
+  inStock: before.inStock,
+  available: available(before)
+});
+
+const publishProductEvent = (event, product, extra = {}) => {
+  publish(event, { product: product.toJSON(), ...extra });
+};
+
+// Compare a product with its earlier state (a snapshot or plain object holding price,
+// inStock, quantity and reserved) and publish repriced, out-of-stock and low-stock events
+const publishProductChanges = (before, product) => {
+  const previous = previousState(before);
+  
+  if (!moneyEquals(before.price, product.price)) {
+    publishProductEvent('product.repriced', product, { previous });
+  }
+  
+  if (before.inStock && !product.inStock) {
+    publishProductEvent('product.out_of_stock', product, { previous });
+  }
+  
+  const threshold = lowStockThreshold(product);
+  if (product.trackInventory && threshold !== null
+    && previous.available > threshold && product.available <= threshold) {
+    publishProductEvent('product.low_stock', product, { previous, threshold });
+  }
+};
+
+// Publish product.updated plus any repriced/stock events for a recorded history entry
+const publishProductUpdate = (product, before, entry) => {
+  publishProductEvent('product.updated', product, { changes: entry.changes });
+  publishProductChanges(before, product);
+};
+
+// After saving an update: record the new version and publish product.updated plus any
+// repriced/stock events. `before` is the snapshot taken before the change. Resolves to
+// the history entry, or null if nothing changed.
+const recordProductUpdate = async (product, before, user) => {
+  const entry = await ProductHistory.record({ product, action: 'update', user, before });
+  
+  if (entry) publishProductUpdate(product, before, entry);
+  return entry;
+};
+
+module.exports = { publishProductEvent, publishProductChanges, publishProductUpdate, recordProductUpdate };
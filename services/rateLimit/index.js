@@ -0,0 +1,31 @@
+const createMemoryStore = require('./memoryStore');
+const createMongoStore = require('./mongoStore');
+const { store: configuredStore } = require('../../config/rateLimit');
+
+// A rate-limit store keeps request counters per client key. It is an object with:
+//   increment(key, windowMs)  count one request; resolves to { count, resetAt } for the current window
+//   get(key, windowMs)        the current window's { count, resetAt } without counting, or null
+const stores = {
+  memory: createMemoryStore,
+  mongo: createMongoStore
+};
+
+let store;
+
+// Make another store, e.g. Redis, selectable through RATE_LIMIT_STORE
+const registerRateLimitStore = (name, factory) => {
+  stores[name] = factory;
+};
+
+// The store named by RATE_LIMIT_STORE (default: memory), created on first use
+const getRateLimitStore = () => {
+  if (!store) {
+    if (!stores[configuredStore]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE '${configuredStore}'. Use one of: ${Object.keys(stores).join(', ')}`);
+    }
+    store = stores[configuredStore]();
+  }
+  return store;
+};
+
+module.exports = { getRateLimitStore, registerRateLimitStore };
@@ -0,0 +1,39 @@
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Counters in this process's memory. Each instance of the API counts on its own.
+const createMemoryStore = () => {
+  const counters = new Map();
+  
+  // Forget windows that are over so idle clients don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    counters.forEach((counter, key) => {
+      if (counter.resetAt <= now) counters.delete(key);
+    });
+  }, SWEEP_INTERVAL_MS);
+  sweep.unref();
+  
+  const current = (key) => {
+    const counter = counters.get(key);
+    return counter && counter.resetAt > Date.now() ? counter : null;
+  };
+  
+  return {
+    async increment(key, windowMs) {
+      let counter = current(key);
+      if (!counter) {
+        counter = { count: 0, resetAt: Date.now() + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: new Date(counter.resetAt) };
+    },
+    
+    async get(key) {
+      const counter = current(key);
+      return counter ? { count: counter.count, resetAt: new Date(counter.resetAt) } : null;
+    }
+  };
+};
+
+module.exports = createMemoryStore;
@@ -0,0 +1,38 @@
+const RateLimitCounter = require('../../models/RateLimitCounter');
+
+// Counters in MongoDB, shared by every instance of the API. Windows are aligned to
+// multiples of their length so all instances agree on when one starts.
+const createMongoStore = () => {
+  const windowOf = (key, windowMs) => {
+    const start = Math.floor(Date.now() / windowMs) * windowMs;
+    return { id: `${key}:${start}`, resetAt: new Date(start + windowMs) };
+  };
+  
+  const increment = async (key, windowMs, retried = false) => {
+    const { id, resetAt } = windowOf(key, windowMs);
+    try {
+      const counter = await RateLimitCounter.findOneAndUpdate(
+        { _id: id },
+        { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+        { upsert: true, new: true }
+      );
+      return { count: counter.count, resetAt };
+    } catch (error) {
+      // Two instances creating the same counter at once: one insert loses and updates instead
+      if (error.code === 11000 && !retried) return increment(key, windowMs, true);
+      throw error;
+    }
+  };
+  
+  return {
+    increment,
+    
+    async get(key, windowMs) {
+      const { id, resetAt } = windowOf(key, windowMs);
+      const counter = await RateLimitCounter.findById(id);
+      return counter ? { count: counter.count, resetAt } : null;
+    }
+  };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,77 @@
+const Product = require('../models/Product');
+const { closestTerms } = require('../utils/fuzzy');
+const escapeRegExp = require('../utils/escapeRegExp');
+
+const VOCABULARY_TTL_MS = 5 * 60 * 1000;
+const MIN_TERM_LENGTH = 2;
+
+let vocabularyCache = { words: null, loadedAt: 0 };
+
+const tokenize = (text) => (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(term => term.length >= MIN_TERM_LENGTH);
+
+// The same words tokenize() finds, for matching inside the database
+const WORD_PATTERN = new RegExp(`[\\p{L}\\p{N}]{${MIN_TERM_LENGTH},}`, 'u');
+
+// Distinct words across product names and descriptions, cached for a few minutes
+const loadVocabulary = async () => {
+  if (vocabularyCache.words && Date.now() - vocabularyCache.loadedAt < VOCABULARY_TTL_MS) {
+    return vocabularyCache.words;
+  }
+  
+  const rows = await Product.aggregate([
+    {
+      $project: {
+        words: {
+          $regexFindAll: {
+            input: { $toLower: { $concat: ['$name', ' ', '$description'] } },
+            regex: WORD_PATTERN
+          }
+        }
+      }
+    },
+    { $unwind: '$words' },
+    { $group: { _id: '$words.match' } }
+  ]);
+  
+  // $toLower only folds ASCII letters, so the rest are lowercased here
+  vocabularyCache = { words: [...new Set(rows.map(row => row._id.toLowerCase()))], loadedAt: Date.now() };
+  return vocabularyCache.words;
+};
+
+// Split a query into terms and add likely spellings for terms that don't appear in the catalog.
+// Returns { terms, corrections } where corrections maps each misspelt term to its suggestions.
+const expandQuery = async (q) => {
+  const terms = [...new Set(tokenize(q))];
+  const vocabulary = await loadVocabulary();
+  const known = new Set(vocabulary);
+  const corrections = {};
+  
+  terms
+    .filter(term => !known.has(term))
+    .forEach(term => {
+      const suggestions = closestTerms(term, vocabulary);
+      if (suggestions.length) corrections[term] = suggestions;
+    });
+  
+  return { terms, corrections };
+};
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Wrap words starting with any of the terms in <em> tags. The text is HTML-escaped first.
+const highlight = (text, terms) => {
+  if (!text || !terms.length) return text;
+  
+  const pattern = new RegExp(
+    `(?<![\\p{L}\\p{N}&])(${terms.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`,
+    'giu'
+  );
+  return escapeHtml(text).replace(pattern, match => `<em>${match}</em>`);
+};
+
+module.exports = { expandQuery, highlight, tokenize };
@@ -0,0 +1,31 @@
+const createLocalStorage = require('./localStorage');
+
+// A storage backend keeps uploaded files. It is an object with:
+//   put(key, buffer, { contentType })  write a file, replacing any existing one
+//   remove(key)                        delete a file; a missing file is not an error
+//   url(key)                           public URL the file is served from
+// and, when the API itself serves the files, `mountPath` and `handler()` (Express middleware).
+const drivers = {
+  local: createLocalStorage
+};
+
+let storage;
+
+// Make another backend, e.g. an object store, selectable through STORAGE_DRIVER
+const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+// The backend named by STORAGE_DRIVER (default: local), created on first use
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER '${driver}'. Use one of: ${Object.keys(drivers).join(', ')}`);
+    }
+    storage = drivers[driver]();
+  }
+  return storage;
+};
+
+module.exports = { getStorage, registerStorageDriver };
@@ -0,0 +1,47 @@
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+
+// Files go under UPLOAD_DIR and are served by the API from UPLOAD_URL. If UPLOAD_URL is
+// absolute (e.g. a CDN in front of the directory) the API leaves serving to that host.
+const createLocalStorage = ({
+  root = path.resolve(process.env.UPLOAD_DIR || 'uploads'),
+  baseUrl = process.env.UPLOAD_URL || '/uploads'
+} = {}) => {
+  const base = baseUrl.replace(/\/+$/, '');
+  
+  // Keys are generated by the API, but never let one point outside the upload directory
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key '${key}'`);
+    }
+    return file;
+  };
+  
+  return {
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+    
+    async remove(key) {
+      const file = resolve(key);
+      await fs.rm(file, { force: true });
+      // Drop the directory once its last file is gone; rmdir refuses non-empty ones
+      const dir = path.dirname(file);
+      if (dir !== root) await fs.rmdir(dir).catch(() => {});
+    },
+    
+    url: (key) => `${base}/${key}`,
+    
+    ...(base.startsWith('/') && {
+      mountPath: base,
+      // Keys never get reused, so the files can be cached forever
+      handler: () => express.static(root, { immutable: true, maxAge: '1y', index: false })
+    })
+  };
+};
+
+module.exports = createLocalStorage;
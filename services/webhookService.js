@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const { resolvesToPublicHost } = require('../utils/network');
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// How long an in-flight attempt keeps other workers from picking the delivery up
+const LEASE_MS = 2 * 60 * 1000;
+
+// Exponential backoff with up to 10% jitter: 30s, 1m, 2m, 4m... capped at an hour
+const backoff = (attempt) => {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** (attempt - 1), MAX_BACKOFF_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+};
+
+// Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+const sign = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// Make one delivery attempt and schedule a retry or mark the outcome
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+  
+  if (!webhook || !webhook.active) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    delivery.attempts.push({ at: new Date(), error: 'Webhook was disabled or removed' });
+    return delivery.save();
+  }
+  
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let statusCode;
+  let error;
+  
+  try {
+    if (!(await resolvesToPublicHost(webhook.url))) {
+      throw new Error('Webhook URL resolves to a loopback, private or link-local address');
+    }
+    
+    // Redirects aren't followed, so a subscriber can't bounce the delivery to an internal host
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'products-api-webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    statusCode = response.status;
+    if (!response.ok) error = `Subscriber responded with HTTP ${response.status}`;
+  } catch (err) {
+    error = err.message;
+  }
+  
+  delivery.attempts.push({ at: new Date(), statusCode, error, durationMs: Date.now() - started });
+  
+  if (!error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + backoff(delivery.attempts.length));
+  }
+  
+  return delivery.save();
+};
+
+// Queue an event for every active subscriber and make the first attempt right away
+const emitEvent = async (event, data) => {
+  const webhooks = await Webhook.find({ active: true, events: { $in: [event, '*'] } });
+  if (!webhooks.length) return [];
+  
+  const createdAt = new Date();
+  const deliveries = await WebhookDelivery.insertMany(webhooks.map(webhook => {
+    const _id = new mongoose.Types.ObjectId();
+    return {
+      _id,
+      webhook: webhook._id,
+      event,
+      payload: { id: _id.toString(), event, createdAt, data },
+      nextAttemptAt: new Date(createdAt.getTime() + LEASE_MS)
+    };
+  }));
+  
+  deliveries.forEach(delivery => {
+    attemptDelivery(delivery).catch(err => logger.error('Webhook delivery failed', { deliveryId: delivery.id, err }));
+  });
+  
+  return deliveries;
+};
+
+// Fire-and-forget wrapper for request handlers: webhook problems never fail the request
+const publish = (event, data) => {
+  emitEvent(event, data).catch(err => logger.error('Could not queue webhook event', { event, err }));
+};
+
+// Lease the first delivery matching `filter` for one attempt by pushing its next attempt
+// past the lease, so no other worker or request picks it up meanwhile. Resolves to null
+// if none matches.
+const leaseDelivery = (filter, options = {}) => WebhookDelivery.findOneAndUpdate(
+  filter,
+  { status: 'pending', nextAttemptAt: new Date(Date.now() + LEASE_MS) },
+  { new: true, ...options }
+);
+
+// Retry deliveries whose next attempt is due. Each one is leased before the attempt
+// so that several instances can run this side by side.
+const deliverDue = async (limit = 50) => {
+  let processed = 0;
+  
+  while (processed < limit) {
+    const delivery = await leaseDelivery(
+      { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+      { sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+    
+    await attemptDelivery(delivery);
+    processed++;
+  }
+  
+  return processed;
+};
+
+// Send a delivery again right away, whatever its status, unless an attempt is in flight or
+// already scheduled. Resolves to null if no delivery matching `filter` can be leased.
+const redeliver = async (filter) => {
+  const delivery = await leaseDelivery({
+    ...filter,
+    $or: [{ status: { $ne: 'pending' } }, { nextAttemptAt: { $lte: new Date() } }]
+  });
+  return delivery && attemptDelivery(delivery);
+};
+
+module.exports = { emitEvent, publish, attemptDelivery, deliverDue, redeliver, sign };
@@ -1,7 +1,17 @@
+const { getReasonPhrase } = require('http-status-codes');
+
+// Default machine-readable code for a status, e.g. 404 -> NOT_FOUND
+const codeForStatus = (statusCode) => getReasonPhrase(statusCode).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+// An error meant for the client. Besides the status and message it carries a stable `code`
+// (derived from the status unless given) and, optionally, per-field `errors` of the form
+// { field, location, message }. Rendered as application/problem+json by the error handler.
 class ApiError extends Error {
-  constructor(statusCode, message, isOperational = true, stack = '') {
+  constructor(statusCode, message, { code, errors, isOperational = true } = {}, stack = '') {
     super(message);
     this.statusCode = statusCode;
+    this.code = code || codeForStatus(statusCode);
+    if (errors) this.errors = errors;
     this.isOperational = isOperational;
     if (stack) {
       this.stack = stack;
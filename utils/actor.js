@@ -0,0 +1,4 @@
+// Copy the authenticated caller (req.user) into the shape stored on audit records
+const toActor = (user) => (user ? { id: user.id, name: user.name, type: user.type } : undefined);
+
+module.exports = toActor;
@@ -0,0 +1,21 @@
+const crypto = require('crypto');
+
+// Strong ETag derived from a document's JSON representation
+const computeETag = (doc) => {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(doc)).digest('base64url');
+  return `"${hash}"`;
+};
+
+const parseETags = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// If-Match uses strong comparison, so weak validators never match
+const matchesIfMatch = (header, etag) => parseETags(header)
+  .some(tag => tag === '*' || tag === etag);
+
+const opaqueTag = (tag) => tag.replace(/^W\//, '');
+
+// If-None-Match uses weak comparison: W/ is ignored on both sides
+const matchesIfNoneMatch = (header, etag) => parseETags(header)
+  .some(tag => tag === '*' || opaqueTag(tag) === opaqueTag(etag));
+
+module.exports = { computeETag, matchesIfMatch, matchesIfNoneMatch };
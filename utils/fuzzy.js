@@ -0,0 +1,40 @@
+// Levenshtein distance, giving up early once it exceeds `max` (returns max + 1)
+const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  
+  return previous[b.length];
+};
+
+// Typos tolerated for a term: none for short words, one for medium, two for long ones
+const allowedTypos = (term) => {
+  if (term.length < 4) return 0;
+  return term.length < 8 ? 1 : 2;
+};
+
+// Vocabulary words within the allowed edit distance of `term`, closest first
+const closestTerms = (term, vocabulary, limit = 2) => {
+  const max = allowedTypos(term);
+  if (!max) return [];
+  
+  return vocabulary
+    .map(word => ({ word, distance: editDistance(term, word, max) }))
+    .filter(({ distance }) => distance > 0 && distance <= max)
+    .sort((a, b) => a.distance - b.distance || a.word.localeCompare(b.word))
+    .slice(0, limit)
+    .map(({ word }) => word);
+};
+
+module.exports = { editDistance, closestTerms };
@@ -0,0 +1,17 @@
+// GTINs (EAN-8, UPC-A, EAN-13 and GTIN-14 barcodes) are 8, 12, 13 or 14 digits; the last is a
+// GS1 mod-10 check digit over the others
+const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// Weights alternate 3, 1, ... from the digit next to the check digit leftwards
+const checkDigit = (digits) => {
+  const sum = [...digits].reverse()
+    .reduce((total, digit, index) => total + Number(digit) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+const isValidGtin = (value) => typeof value === 'string'
+  && /^\d+$/.test(value)
+  && GTIN_LENGTHS.includes(value.length)
+  && checkDigit(value.slice(0, -1)) === Number(value.slice(-1));
+
+module.exports = { isValidGtin };
@@ -0,0 +1,82 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging: one JSON object per line on stdout, e.g.
+// {"time":"2025-03-20T12:00:00.000Z","level":"info","msg":"request completed","requestId":"...","status":200}
+
+const LEVELS = { debug: 20, info: 30, warn: 40, error: 50 };
+
+// LOG_LEVEL wins; otherwise production logs info and up, tests only warnings and errors
+const DEFAULT_LEVELS = { production: 'info', test: 'warn', development: 'debug' };
+
+const REDACTED = '[REDACTED]';
+// Header and field names whose values never reach the logs (compared lowercased)
+const SENSITIVE_KEYS = new Set([
+  'authorization', 'x-api-key', 'cookie', 'set-cookie',
+  'password', 'token', 'accesstoken', 'refreshtoken', 'apikey', 'secret'
+]);
+
+const resolveLevel = () => {
+  const level = process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV || 'development'] || 'info';
+  return LEVELS[level] ? level : 'info';
+};
+
+const threshold = LEVELS[resolveLevel()];
+
+// Fields added to every entry logged while handling the current request (e.g. requestId)
+const context = new AsyncLocalStorage();
+
+const runWithContext = (fields, fn) => context.run({ ...context.getStore(), ...fields }, fn);
+
+const isPlainObject = (value) => value !== null && typeof value === 'object'
+  && [Object.prototype, null].includes(Object.getPrototypeOf(value));
+
+// Copy a value with the sensitive keys' values replaced. Only plain objects and arrays are
+// walked; anything else (dates, ObjectIds...) is left to JSON.stringify.
+const redact = (value) => {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!isPlainObject(value)) return value;
+  
+  return Object.fromEntries(Object.entries(value).map(([key, inner]) => [
+    key,
+    SENSITIVE_KEYS.has(key.toLowerCase()) ? REDACTED : redact(inner)
+  ]));
+};
+
+const serializeError = (err) => (err instanceof Error
+  ? { name: err.name, message: err.message, code: err.code, stack: err.stack }
+  : err);
+
+const write = (level, msg, fields = {}) => {
+  if (LEVELS[level] < threshold) return;
+  
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...context.getStore(),
+    ...redact(rest),
+    ...(err !== undefined && { err: serializeError(err) })
+  };
+  
+  let line;
+  try {
+    line = JSON.stringify(entry);
+  } catch (error) {
+    // e.g. a circular structure in the fields
+    line = JSON.stringify({ time: entry.time, level, msg, logError: error.message });
+  }
+  process.stdout.write(`${line}\n`);
+};
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+  isLevelEnabled: (level) => LEVELS[level] >= threshold,
+  runWithContext,
+  redact
+};
+
+module.exports = logger;
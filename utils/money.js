@@ -0,0 +1,41 @@
+// Money is stored as { amount, currency }: an integer number of minor units
+// (cents, pence, yen...) and an ISO 4217 currency code.
+
+const BASE_CURRENCY = (process.env.BASE_CURRENCY || 'USD').toUpperCase();
+
+const CURRENCIES = new Set(Intl.supportedValuesOf('currency'));
+
+const isCurrency = (code) => typeof code === 'string' && CURRENCIES.has(code);
+
+// Number of decimal places of a currency's minor unit, e.g. 2 for USD, 0 for JPY
+const minorDigits = (currency) => new Intl.NumberFormat('en', { style: 'currency', currency })
+  .resolvedOptions().maximumFractionDigits;
+
+// Convert an amount in major units (12.99) into minor units (1299)
+const toMinorUnits = (major, currency) => Math.round(major * 10 ** minorDigits(currency));
+
+const moneyEquals = (a, b) => (a && b
+  ? a.amount === b.amount && a.currency === b.currency
+  : !a && !b);
+
+// Convert money into another currency. `rates` maps currency codes to units per one
+// unit of BASE_CURRENCY. Returns null if either currency has no rate.
+const convert = (money, currency, rates) => {
+  if (money.currency === currency) return { amount: money.amount, currency };
+  
+  const from = money.currency === BASE_CURRENCY ? 1 : rates[money.currency];
+  const to = currency === BASE_CURRENCY ? 1 : rates[currency];
+  if (!from || !to) return null;
+  
+  const major = money.amount / 10 ** minorDigits(money.currency);
+  return { amount: toMinorUnits(major * to / from, currency), currency };
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  isCurrency,
+  minorDigits,
+  toMinorUnits,
+  moneyEquals,
+  convert
+};
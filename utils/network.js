@@ -0,0 +1,60 @@
+const dns = require('dns').promises;
+const net = require('net');
+
+// Addresses outbound requests (webhook deliveries) must never reach: loopback, private,
+// link-local, carrier-grade NAT, multicast and reserved ranges
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  return family !== 0 && !blockedAddresses.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// URL.hostname keeps the brackets around IPv6 literals
+const hostOf = (url) => new URL(url).hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+
+// Whether a URL names a host that may be public, judged without a DNS lookup: IP literals
+// must be public addresses and "localhost" names are refused
+const hasPublicHost = (url) => {
+  let host;
+  try {
+    host = hostOf(url);
+  } catch (error) {
+    return false;
+  }
+  
+  if (net.isIP(host)) return isPublicAddress(host);
+  return host !== 'localhost' && !host.endsWith('.localhost');
+};
+
+// Whether every address a URL's host resolves to is public. Checked right before each
+// request, since a name can be pointed at an internal address after it was validated.
+const resolvesToPublicHost = async (url) => {
+  if (!hasPublicHost(url)) return false;
+  
+  const host = hostOf(url);
+  if (net.isIP(host)) return true;
+  
+  const addresses = await dns.lookup(host, { all: true });
+  return addresses.length > 0 && addresses.every(({ address }) => isPublicAddress(address));
+};
+
+module.exports = { isPublicAddress, hasPublicHost, resolvesToPublicHost };
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const qs = require('qs');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('./ApiError');
+const { fieldPath } = require('./productQuery');
+
+// Fields a cursor can be positioned on; _id is always added as a tie-breaker
+const CURSOR_SORT_FIELDS = ['createdAt', 'updatedAt', 'name', 'price', 'category', 'quantity', 'rating', 'reviewCount'];
+
+// Parse a single-field sort such as "-price" into { field, direction }, where field is
+// the document path, or null if the sort can't be used with cursors
+const parseCursorSort = (sort) => {
+  const match = /^(-)?(\w+)$/.exec(String(sort).trim());
+  if (!match || !CURSOR_SORT_FIELDS.includes(match[2])) return null;
+  return { field: fieldPath(match[2]), direction: match[1] ? -1 : 1 };
+};
+
+// Cursors are opaque to clients: base64url JSON holding the sort and the boundary document's position
+const encodeCursor = (doc, sort) => {
+  const value = doc.get(sort.field);
+  const isDate = value instanceof Date;
+  const isObjectId = value instanceof mongoose.Types.ObjectId;
+  const payload = {
+    f: sort.field,
+    d: sort.direction,
+    v: isDate ? value.toISOString() : isObjectId ? value.toString() : value,
+    id: doc._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const invalidCursor = (message = 'Invalid pagination cursor') => new ApiError(StatusCodes.BAD_REQUEST, message, {
+  code: 'INVALID_CURSOR'
+});
+
+// Cursors come back from clients, so the position is only trusted as a primitive cast by
+// the sort field's schema type; anything else could smuggle query operators into the find
+const decodeCursor = (token, sort, model) => {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw invalidCursor();
+  }
+  
+  if (!payload || !mongoose.isValidObjectId(payload.id)) {
+    throw invalidCursor();
+  }
+  if (payload.f !== sort.field || payload.d !== sort.direction) {
+    throw invalidCursor('Pagination cursor was issued for a different sort order');
+  }
+  
+  // Documents missing the sort field encode no value at all
+  let value = payload.v === undefined ? null : payload.v;
+  if (value !== null && !['string', 'number', 'boolean'].includes(typeof value)) {
+    throw invalidCursor();
+  }
+  if (value !== null) {
+    try {
+      value = model.schema.path(sort.field).cast(value);
+    } catch (error) {
+      throw invalidCursor();
+    }
+  }
+  
+  return {
+    value,
+    id: new mongoose.Types.ObjectId(payload.id)
+  };
+};
+
+// Fetch the page of `limit` documents after or before a cursor. Ordering is stable
+// because ties on the sort field are broken by _id.
+// `select` is an optional projection. Resolves to { items, hasNext, hasPrev }.
+const findCursorPage = async (model, filter, { after, before, sort, limit, select }) => {
+  const forward = !before;
+  const direction = forward ? sort.direction : -sort.direction;
+  const op = direction === 1 ? '$gt' : '$lt';
+  const conditions = [filter];
+  
+  const token = after || before;
+  if (token) {
+    const { value, id } = decodeCursor(token, sort, model);
+    conditions.push({
+      $or: [
+        { [sort.field]: { [op]: value } },
+        { [sort.field]: value, _id: { [op]: id } }
+      ]
+    });
+  }
+  
+  // The sort field has to be loaded to build the next cursor, even if it wasn't asked for
+  const docs = await model.find({ $and: conditions })
+    .select(select ? `${select} ${sort.field.split('.')[0]}` : undefined)
+    .sort({ [sort.field]: direction, _id: direction })
+    .limit(limit + 1);
+  
+  const hasMore = docs.length > limit;
+  const items = docs.slice(0, limit);
+  if (!forward) items.reverse();
+  
+  return {
+    items,
+    hasNext: forward ? hasMore : true,
+    hasPrev: forward ? Boolean(after) : hasMore
+  };
+};
+
+// Absolute URL for the current route with some query parameters replaced
+// (pass undefined to drop a parameter). Operator filters such as price[gte] arrive
+// as nested objects, so the query is serialized back with qs, the same parser
+// Express uses to read it.
+const pageUrl = (req, params) => {
+  const path = req.path === '/' ? req.baseUrl : `${req.baseUrl}${req.path}`;
+  const url = new URL(`${req.protocol}://${req.get('host')}${path}`);
+  url.search = qs.stringify({ ...req.query, ...params }, {
+    encode: true,
+    skipNulls: true,
+    arrayFormat: 'repeat'
+  });
+  
+  return url.toString();
+};
+
+// Set an RFC 8288 Link header from { next, prev, ... } URLs, skipping empty ones
+const setLinkHeader = (res, links) => {
+  const header = Object.entries(links)
+    .filter(([, url]) => url)
+    .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+    .join(', ');
+  if (header) res.set('Link', header);
+};
+
+module.exports = {
+  CURSOR_SORT_FIELDS,
+  parseCursorSort,
+  encodeCursor,
+  findCursorPage,
+  pageUrl,
+  setLinkHeader
+};
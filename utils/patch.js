@@ -0,0 +1,64 @@
+const jsonpatch = require('fast-json-patch');
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('./ApiError');
+
+// Media types accepted by PATCH endpoints
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// JSON Merge Patch (RFC 7396): objects are merged recursively, null removes a member and
+// anything else (including arrays) replaces the target value. Returns a new document.
+const applyMergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return patch;
+  
+  const result = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete result[key];
+    else result[key] = applyMergePatch(result[key], value);
+  });
+  return result;
+};
+
+// How fast-json-patch's error names map to responses: a malformed patch is a 400, a failed
+// `test` a 409 and an operation on a path that doesn't exist a 422 (RFC 5789)
+const PATCH_ERRORS = {
+  TEST_OPERATION_FAILED: [StatusCodes.CONFLICT, 'PATCH_TEST_FAILED'],
+  OPERATION_PATH_UNRESOLVABLE: [StatusCodes.UNPROCESSABLE_ENTITY, 'PATCH_PATH_UNRESOLVABLE'],
+  OPERATION_FROM_UNRESOLVABLE: [StatusCodes.UNPROCESSABLE_ENTITY, 'PATCH_PATH_UNRESOLVABLE'],
+  OPERATION_PATH_CANNOT_ADD: [StatusCodes.UNPROCESSABLE_ENTITY, 'PATCH_PATH_UNRESOLVABLE'],
+  OPERATION_PATH_ILLEGAL_ARRAY_INDEX: [StatusCodes.UNPROCESSABLE_ENTITY, 'PATCH_PATH_UNRESOLVABLE'],
+  OPERATION_VALUE_OUT_OF_BOUNDS: [StatusCodes.UNPROCESSABLE_ENTITY, 'PATCH_PATH_UNRESOLVABLE']
+};
+
+// JSON Pointer to the dotted field names used in error responses: /price/amount -> price.amount
+const pointerToField = (pointer) => String(pointer || '').split('/').slice(1)
+  .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'))
+  .join('.');
+
+// JSON Patch (RFC 6902), including `test` operations. The operations are applied in order to a
+// copy of `target`; if any of them fails, none take effect and an ApiError names the operation.
+const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new ApiError(StatusCodes.BAD_REQUEST, 'A JSON Patch document must be an array of operations', {
+      code: 'INVALID_PATCH'
+    });
+  }
+  
+  try {
+    return jsonpatch.applyPatch(target, operations, true, false).newDocument;
+  } catch (error) {
+    if (!(error instanceof jsonpatch.JsonPatchError)) throw error;
+    
+    const [status, code] = PATCH_ERRORS[error.name] || [StatusCodes.BAD_REQUEST, 'INVALID_PATCH'];
+    const operation = operations[error.index] || {};
+    const message = error.message.split('\n')[0];
+    throw new ApiError(status, `Patch operation ${error.index} failed: ${message}`, {
+      code,
+      errors: [{ field: pointerToField(operation.path), location: 'body', message }]
+    });
+  }
+};
+
+module.exports = { MERGE_PATCH, JSON_PATCH, applyMergePatch, applyJsonPatch };
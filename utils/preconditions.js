@@ -0,0 +1,23 @@
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('./ApiError');
+const { computeETag, matchesIfMatch } = require('./etag');
+
+// Reject the write with 412 if the client sent If-Match and it doesn't match the stored product
+const checkIfMatch = (req, product) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch && !matchesIfMatch(ifMatch, computeETag(product))) {
+    throw new ApiError(
+      StatusCodes.PRECONDITION_FAILED,
+      'Product has been modified since you fetched it; reload it and try again'
+    );
+  }
+};
+
+// Another request saved the product between our read and write
+const toConcurrencyError = (error) => (error.name === 'VersionError'
+  ? new ApiError(StatusCodes.PRECONDITION_FAILED, 'Product was modified concurrently; reload it and try again', {
+    code: 'CONCURRENT_MODIFICATION'
+  })
+  : error);
+
+module.exports = { checkIfMatch, toConcurrencyError };
@@ -0,0 +1,291 @@
+const { StatusCodes } = require('http-status-codes');
+const ApiError = require('./ApiError');
+const escapeRegExp = require('./escapeRegExp');
+const Category = require('../models/Category');
+
+// Fields that can be filtered, sorted and projected, with the type used to cast values.
+// `price` compares the amount in minor units (e.g. cents).
+const PRODUCT_FIELDS = {
+  name: 'string',
+  description: 'string',
+  price: 'number',
+  'price.currency': 'string',
+  category: 'category',
+  inStock: 'boolean',
+  trackInventory: 'boolean',
+  quantity: 'number',
+  reserved: 'number',
+  lowStockThreshold: 'number',
+  'stock.warehouse': 'string',
+  rating: 'number',
+  reviewCount: 'number',
+  createdAt: 'date',
+  updatedAt: 'date'
+};
+
+const COMMON_OPERATORS = ['eq', 'ne', 'in', 'nin', 'exists'];
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const OPERATORS = {
+  string: [...COMMON_OPERATORS, 'startsWith', 'endsWith', 'contains'],
+  number: [...COMMON_OPERATORS, ...RANGE_OPERATORS],
+  date: [...COMMON_OPERATORS, ...RANGE_OPERATORS],
+  boolean: ['eq', 'ne', 'exists'],
+  // Ids or slugs; a category matches its descendants too
+  category: COMMON_OPERATORS
+};
+
+// Query parameters that control the response rather than filter it
+const CONTROL_PARAMS = [
+  'page', 'limit', 'sort', 'fields', 'after', 'before', 'includeTotal', 'format', 'q', 'dryRun', 'currency'
+];
+
+// Where a field lives in the document, if not under its own name
+const FIELD_PATHS = { price: 'price.amount' };
+
+const fieldPath = (field) => FIELD_PATHS[field] || field;
+
+// Shorthand filters kept from the original API
+const LEGACY_PARAMS = ['minPrice', 'maxPrice'];
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 100;
+
+// 400 carrying one entry per offending parameter, given as { parameter, message }
+const invalidQuery = (errors) => new ApiError(StatusCodes.BAD_REQUEST, 'Invalid query parameters', {
+  code: 'INVALID_QUERY',
+  errors: errors.map(({ parameter, message }) => ({ field: parameter, location: 'query', message }))
+});
+
+const castValue = (type, raw) => {
+  if (typeof raw !== 'string') return { error: 'must be a single value' };
+  
+  switch (type) {
+    case 'number': {
+      const value = Number(raw);
+      return raw.trim() === '' || Number.isNaN(value) ? { error: 'must be a number' } : { value };
+    }
+    case 'date': {
+      const value = new Date(raw);
+      return Number.isNaN(value.getTime()) ? { error: 'must be a valid date' } : { value };
+    }
+    case 'boolean':
+      return raw === 'true' || raw === 'false' ? { value: raw === 'true' } : { error: 'must be true or false' };
+    default:
+      return { value: raw };
+  }
+};
+
+// Translate one field[operator]=value pair into a Mongo condition
+const buildCondition = (type, operator, raw) => {
+  if (operator === 'exists') {
+    const { value, error } = castValue('boolean', raw);
+    return error ? { error } : { condition: { $exists: value } };
+  }
+  
+  if (operator === 'in' || operator === 'nin') {
+    if (typeof raw !== 'string') return { error: 'must be a comma-separated list' };
+    const values = [];
+    for (const item of raw.split(',')) {
+      const { value, error } = castValue(type, item.trim());
+      if (error) return { error: `items ${error}` };
+      values.push(value);
+    }
+    return { condition: { [`$${operator}`]: values } };
+  }
+  
+  const { value, error } = castValue(type, raw);
+  if (error) return { error };
+  
+  switch (operator) {
+    case 'startsWith':
+      return { condition: { $regex: `^${escapeRegExp(value)}`, $options: 'i' } };
+    case 'endsWith':
+      return { condition: { $regex: `${escapeRegExp(value)}$`, $options: 'i' } };
+    case 'contains':
+      return { condition: { $regex: escapeRegExp(value), $options: 'i' } };
+    default:
+      return { condition: { [`$${operator}`]: value } };
+  }
+};
+
+// Add conditions for a field, merging with any already set on it
+const addConditions = (query, field, conditions) => {
+  query[field] = { ...query[field], ...conditions };
+};
+
+// Category filters need a lookup, so they are collected first and resolved together
+const resolveCategoryFilters = async (query, filters, errors) => {
+  for (const { parameter, operator, refs } of filters) {
+    const { ids, missing } = await Category.subtreeIds(refs.map(ref => ref.trim()).filter(Boolean));
+    missing.forEach(ref => errors.push({ parameter, message: `Unknown category '${ref}'` }));
+    addConditions(query, 'category', { [operator === 'ne' || operator === 'nin' ? '$nin' : '$in']: ids });
+  }
+};
+
+// Build the Mongo filter shared by the listing, export and search endpoints.
+//
+// Any field in PRODUCT_FIELDS can be filtered as `field=value` (equality) or
+// `field[operator]=value`, e.g. price[gte]=10, createdAt[lt]=2025-01-01 or
+// name[startsWith]=lap. `in`/`nin` take comma-separated lists. The original
+// shorthands still work: name (contains), category (comma-separated list),
+// minPrice/maxPrice and inStock. Categories are given by id or slug and match
+// their whole subtree.
+//
+// Rejects with a 400 ApiError listing every unknown field, operator or bad value.
+// Parameters named in `ignore` are skipped, for endpoints with their own options.
+const buildProductQuery = async (params, { ignore = [] } = {}) => {
+  const query = {};
+  const errors = [];
+  const categoryFilters = [];
+  
+  Object.entries(params).forEach(([param, raw]) => {
+    if (CONTROL_PARAMS.includes(param) || LEGACY_PARAMS.includes(param) || ignore.includes(param)) return;
+    
+    const type = PRODUCT_FIELDS[param];
+    if (!type) {
+      errors.push({ parameter: param, message: `Unknown filter field '${param}'` });
+      return;
+    }
+    
+    // Plain `field=value`
+    if (typeof raw === 'string') {
+      if (param === 'name') {
+        addConditions(query, param, { $regex: escapeRegExp(raw), $options: 'i' });
+      } else if (param === 'category') {
+        categoryFilters.push({ parameter: param, operator: 'in', refs: raw.split(',') });
+      } else if (type === 'boolean' && raw !== 'true' && raw !== 'false') {
+        // Anything other than true/false has always been ignored for inStock
+        if (param !== 'inStock') errors.push({ parameter: param, message: `'${param}' must be true or false` });
+      } else {
+        const { condition, error } = buildCondition(type, 'eq', raw);
+        if (error) errors.push({ parameter: param, message: `'${param}' ${error}` });
+        else addConditions(query, param, condition);
+      }
+      return;
+    }
+    
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push({ parameter: param, message: `'${param}' must be given once, as ${param}=value or ${param}[operator]=value` });
+      return;
+    }
+    
+    // `field[operator]=value`
+    Object.entries(raw).forEach(([operator, value]) => {
+      const parameter = `${param}[${operator}]`;
+      
+      if (!OPERATORS[type].includes(operator)) {
+        errors.push({
+          parameter,
+          message: `Unsupported operator '${operator}' for ${type} field '${param}'. Use one of: ${OPERATORS[type].join(', ')}`
+        });
+        return;
+      }
+      
+      if (type === 'category' && operator !== 'exists') {
+        if (typeof value !== 'string') errors.push({ parameter, message: `'${parameter}' must be a single value` });
+        else categoryFilters.push({ parameter, operator, refs: operator.endsWith('in') ? value.split(',') : [value] });
+        return;
+      }
+      
+      const { condition, error } = buildCondition(type, operator, value);
+      if (error) errors.push({ parameter, message: `'${parameter}' ${error}` });
+      else addConditions(query, param, condition);
+    });
+  });
+  
+  await resolveCategoryFilters(query, categoryFilters, errors);
+  
+  // Filter by price range; an explicit price[gte]/price[lte] takes precedence
+  const { minPrice, maxPrice } = params;
+  [['minPrice', '$gte', minPrice], ['maxPrice', '$lte', maxPrice]].forEach(([param, operator, raw]) => {
+    if (!raw || (query.price && query.price[operator] !== undefined)) return;
+    const { value, error } = castValue('number', raw);
+    if (error) errors.push({ parameter: param, message: `'${param}' ${error}` });
+    else addConditions(query, 'price', { [operator]: value });
+  });
+  
+  if (errors.length) throw invalidQuery(errors);
+  
+  // A product with variants matches a price filter if any variant's price does; variants
+  // without their own price sell at the product price
+  if (query.price) {
+    const { price } = query;
+    delete query.price;
+    query.$and = [{
+      $or: [
+        { 'variants.0': { $exists: false }, 'price.amount': price },
+        { variants: { $elemMatch: { 'price.amount': price } } },
+        { variants: { $elemMatch: { price: null } }, 'price.amount': price }
+      ]
+    }];
+  }
+  
+  return query;
+};
+
+// Parse `sort=-price,name` into a Mongo sort object, rejecting unknown fields
+const parseSort = (sort) => {
+  const spec = {};
+  const errors = [];
+  
+  String(sort).split(',').map(part => part.trim()).filter(Boolean).forEach(part => {
+    const field = part.replace(/^[-+]/, '');
+    if (!PRODUCT_FIELDS[field]) {
+      errors.push({ parameter: 'sort', message: `Cannot sort by '${field}'` });
+    } else {
+      spec[fieldPath(field)] = part.startsWith('-') ? -1 : 1;
+    }
+  });
+  
+  if (errors.length) throw invalidQuery(errors);
+  return spec;
+};
+
+// Parse `fields=name,price` into a projection string, rejecting unknown fields
+const parseFields = (fields) => {
+  if (!fields) return undefined;
+  
+  const selected = String(fields).split(',').map(field => field.trim()).filter(Boolean);
+  const unknown = selected.filter(field => field !== 'id' && !PRODUCT_FIELDS[field]);
+  
+  if (unknown.length) {
+    throw invalidQuery(unknown.map(field => ({ parameter: 'fields', message: `Unknown field '${field}'` })));
+  }
+  
+  return selected.filter(field => field !== 'id').join(' ') || '_id';
+};
+
+// Parse page size, defaulting to 10 and capping at MAX_LIMIT
+const parseLimit = (limit) => {
+  if (limit === undefined) return DEFAULT_LIMIT;
+  
+  const value = Number(limit);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_LIMIT) {
+    throw invalidQuery([{ parameter: 'limit', message: `limit must be an integer between 1 and ${MAX_LIMIT}` }]);
+  }
+  return value;
+};
+
+const parsePage = (page) => {
+  if (page === undefined) return 1;
+  
+  const value = Number(page);
+  if (!Number.isInteger(value) || value < 1) {
+    throw invalidQuery([{ parameter: 'page', message: 'page must be a positive integer' }]);
+  }
+  return value;
+};
+
+module.exports = {
+  PRODUCT_FIELDS,
+  CONTROL_PARAMS,
+  LEGACY_PARAMS,
+  fieldPath,
+  MAX_LIMIT,
+  invalidQuery,
+  buildProductQuery,
+  parseSort,
+  parseFields,
+  parseLimit,
+  parsePage
+};
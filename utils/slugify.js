@@ -0,0 +1,9 @@
+// Turn a display name into a URL-safe slug, e.g. "Home & Garden" -> "home-garden"
+const slugify = (value) => String(value)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+module.exports = slugify;
@@ -0,0 +1,38 @@
+const jwt = require('jsonwebtoken');
+
+const accessSecret = () => process.env.JWT_SECRET;
+const refreshSecret = () => process.env.JWT_REFRESH_SECRET || process.env.JWT_SECRET;
+
+const signAccessToken = (user) => jwt.sign(
+  { sub: user.id, role: user.role, type: 'access' },
+  accessSecret(),
+  { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+);
+
+const signRefreshToken = (user) => jwt.sign(
+  { sub: user.id, ver: user.tokenVersion, type: 'refresh' },
+  refreshSecret(),
+  { expiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d' }
+);
+
+// Both verifiers throw jsonwebtoken errors on bad signatures, expiry or a token of the wrong type
+const verifyToken = (token, secret, type) => {
+  const payload = jwt.verify(token, secret);
+  if (payload.type !== type) {
+    throw new jwt.JsonWebTokenError(`Expected a token of type ${type}`);
+  }
+  return payload;
+};
+
+const verifyAccessToken = (token) => verifyToken(token, accessSecret(), 'access');
+const verifyRefreshToken = (token) => verifyToken(token, refreshSecret(), 'refresh');
+
+// Access and refresh tokens returned by login, register and refresh
+const issueTokens = (user) => ({
+  accessToken: signAccessToken(user),
+  refreshToken: signRefreshToken(user),
+  tokenType: 'Bearer',
+  expiresIn: process.env.JWT_EXPIRES_IN || '15m'
+});
+
+module.exports = { issueTokens, verifyAccessToken, verifyRefreshToken };